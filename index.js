@@ -2,11 +2,16 @@
 /*global Buffer*/
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
 
 const constants = require('oma-constants');
 const imageDimensions = require('image-size');
-// const uglify = require('uglify-js');
+const SourceMapGenerator = require('source-map').SourceMapGenerator;
+const uglify = require('uglify-js');
 const util = require('oma-util');
 
 const Datauri = require('datauri');
@@ -20,9 +25,76 @@ const assetPath = {
   publicHome: `${constants.module.publicAssets.home}/`,
   bundleLoader: `${constants.bundle.file}.js`,
   bundleMeta: `${constants.bundle.file}.json`,
-//  bundleMini: `${constants.bundle.file}.min.js`
+  bundleMini: `${constants.bundle.file}.min.js`,
+  bundleLoaderMap: `${constants.bundle.file}.js.map`,
+  bundleMiniMap: `${constants.bundle.file}.min.js.map`
 };
 
+// default directory of module cache, relative to bundle directory
+const cacheDirectory = '.cache';
+// names of staging directories where releases are built before they are renamed into place
+// (release id, process id and count of publications in process)
+const stagingPattern = /^\.(.+)\.([0-9]+)\.([0-9]+)\.staging$/;
+// name of file that describes processed module in cache
+const cachedModuleFile = 'module.json';
+// default name of lockfile with pinned archive versions, relative to bundle directory
+const lockfileName = 'bundle.lock.json';
+// default number of milliseconds between polls of watched archives
+const watchInterval = 1000;
+// default number of most recent releases per bundle that pruning keeps
+const keptReleases = 3;
+// number of publications that were staged by this process
+let stagingCount = 0;
+// number of temporary files that were written by this process
+let temporaryCount = 0;
+
+// default number of milliseconds that evaluation of an archived script may take
+const evaluationTimeout = 1000;
+
+// names of types that every typespace knows without definition (intrinsicTypes option adds more)
+const intrinsicTypes = [
+  'boolean', 'date', 'false', 'integer', 'none', 'null', 'number', 'rational', 'string', 'true'
+];
+// tokens of flat type: quoted literals, (qualified) names, numbers and single characters
+const typeTokens = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[A-Za-z_$][\w$.]*|[0-9]+(?:\.[0-9]+)?|\S/g;
+
+// string method that yields dependencies of class scripts, installed inside sandboxes only
+const subclassMethod = `String.prototype.subclass = function() {
+  var n = arguments.length - 1;
+  for (var i = 0; i < n; ++i) {
+    if (Array.isArray(arguments[i])) {
+      return arguments[i];
+    }
+  }
+};`;
+
+// key of objects that stand in for regular expressions and functions in serialized configuration
+const configuredMarker = '$configured';
+// sandbox function that serializes configuration, so host never runs getters of archived scripts
+// (intrinsics are captured before archived scripts run)
+const configureMethod = `var configureData = (function(stringify, toString) {
+  function replace(key, value) {
+    if (typeof value === 'function') {
+      return { '${configuredMarker}': ['function'] };
+    } else if (toString.call(value) === '[object RegExp]') {
+      return { '${configuredMarker}': ['regexp', String(value.source), String(value.flags)] };
+    }
+    return value;
+  }
+  return function(closures) {
+    var config = {};
+    for (var i = 0; i < closures.length; ++i) {
+      closures[i](config);
+    }
+    return stringify(config, replace);
+  };
+})(JSON.stringify, Object.prototype.toString);`;
+// stands in for function of configuration, which runs inside sandbox only
+const sandboxFunction = () => undefined;
+
+// zlib methods that compress published files, keyed by file extension of compressed variant
+const encodingMethods = { gz: 'gzip', br: 'brotliCompress' };
+
 const datafyLimit = constants.tool.datafy.limit, datafyExtensions = {}, graphicsExtensions = {};
 for (const extension of util.fileExtensions(constants.category, constants.tool.datafy.category)) {
   datafyExtensions[extension] = true;
@@ -30,6 +102,84 @@ for (const extension of util.fileExtensions(constants.category, constants.tool.d
 for (const extension of util.fileExtensions(constants.category, 'gfx')) {
   graphicsExtensions[extension] = true;
 }
+// text files are worth compressing, unless compressible option overrides their extensions
+const compressibleExtensions = [];
+for (const extension of util.fileExtensions(constants.category, 'txt')) {
+  compressibleExtensions.push(extension);
+}
+
+// error that explains why a bundle could not be released
+class BundleError extends Error {
+  constructor(type, message, details) {
+    super(message);
+    this.name = 'BundleError';
+    this.type = type;
+    for (const key of ['bundle', 'archive', 'module', 'entry']) {
+      if (details && details[key] !== undefined) {
+        this[key] = details[key];
+      }
+    }
+  }
+}
+
+// processor that inlines small public assets as data URIs
+const datafyProcessor = {
+  name: 'datafy', builtin: true,
+  extensions: Object.keys(datafyExtensions),
+  process: asset => {
+    if (Buffer.byteLength(asset.content) <= datafyLimit) {
+      asset.meta.data64 = datafy(asset.extension, contentBuffer(asset.content));
+    }
+  }
+};
+
+// processor that measures pixel dimensions of graphics that are too large to inline
+const measureProcessor = {
+  name: 'measure', builtin: true,
+  extensions: Object.keys(graphicsExtensions),
+  process: asset => {
+    if (Buffer.byteLength(asset.content) > datafyLimit) {
+      const dimensions = imageDimensions(contentBuffer(asset.content));
+      asset.meta.pixel = { height: dimensions.height, width: dimensions.width };
+    }
+  }
+};
+
+// create chain of public asset processors for bundle, custom processors before built-in ones
+function createProcessors(bundled, options) {
+  const processors = (options && options.processors || []).slice();
+  if (bundled.minifier) {
+    // minify JavaScript assets, unless archive already holds minified sibling
+    processors.push({
+      // custom minifier is identified by its version
+      name: 'minify', builtin: bundled.minifier === minifyScript, version: bundled.minifier.version,
+      extensions: ['js'],
+      process: asset => {
+        const miniPath = asset.path.replace(/js$/, 'min.js');
+        if (!asset.path.endsWith('.min.js') && !asset.exists(miniPath)) {
+          return Promise.resolve(bundled.minifier(String(asset.content), asset.path))
+            .then(minified => { asset.emit(miniPath, minifiedCode(minified)); })
+            ;
+        }
+      }
+    });
+  }
+  processors.push(datafyProcessor, measureProcessor);
+  return processors;
+}
+
+// identity of processor in module cache, or null if processor cannot be identified
+function processorIdentity(processor) {
+  if (processor.builtin) {
+    return processor.name;
+  }
+  return processor.name && processor.version ? `${processor.name}@${processor.version}` : null;
+}
+
+// content of processed asset as buffer
+function contentBuffer(content) {
+  return Buffer.isBuffer(content) ? content : Buffer.from(content);
+}
 
 function datafy(extension, buffer) {
   const uri = new Datauri();
@@ -37,31 +187,505 @@ function datafy(extension, buffer) {
   return uri.content;
 };
 
-module.exports = (archivePath, bundleDirectory) => openArchive(archivePath)
-  .then(mainArchive => {
-    // get bundle configuration scripts from main archive
-    const scripts = util.selectEntries(mainArchive.entries, assetPath.bundleScriptsHome, '.js');
-    return Promise.all(Object.keys(scripts).map(bundleName =>
-      util.unzipText(mainArchive.file, scripts[bundleName])
-        .then(source => {
-          // execute scripts to obtain bundle configuration
-          const bundleConfig = {};
-          Function(`return ${source}`)()(bundleConfig);
-          return bundleConfig;
-        })
-        .then(config => publishBundle(mainArchive, bundleName, config, bundleDirectory))
-    ));
+// compute Subresource Integrity string and fingerprint of published content
+function digestContent(content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  return {
+    integrity: `sha256-${digest.toString('base64')}`,
+    fingerprint: digest.toString('hex').substring(0, 16)
+  };
+}
+
+// insert fingerprint in name of published file, just before its extension
+function fingerprintPath(filePath, fingerprint) {
+  return filePath.replace(/(\.[^./]*)?$/, `.${fingerprint}$1`);
+}
+
+// compress content in every encoding of bundle, keeping variants that are smaller than content
+function compressVariants(bundled, content) {
+  const buffer = contentBuffer(content);
+  return Promise.all(bundled.encodings.map(encoding => new Promise((resolve, reject) => {
+    zlib[encodingMethods[encoding]](buffer, (error, compressed) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(compressed);
+      }
+    });
+  })))
+    .then(compressions => {
+      const variants = {};
+      bundled.encodings.forEach((encoding, i) => {
+        if (compressions[i].length < buffer.length) {
+          variants[encoding] = compressions[i];
+        }
+      });
+      return variants;
+    })
+    ;
+}
+
+// write compressed variants next to published file
+function writeVariants(filePath, variants) {
+  return Promise.all(Object.keys(variants).map(encoding =>
+    util.copy(util.streamInput(variants[encoding]), util.openWriteStream(`${filePath}.${encoding}`))
+  ));
+}
+
+// code of minifier result, which is either source or object with code and source map
+function minifiedCode(minified) {
+  return typeof minified === 'string' ? minified : minified.code;
+}
+
+// minify JavaScript source with UglifyJS, mapping minified code through source map if given
+function minifyScript(source, fileName, sourceMap) {
+  if (!sourceMap) {
+    return uglify.minify(source, { fromString: true }).code;
+  }
+  const outSourceMap = `${fileName.replace(/js$/, 'min.js')}.map`;
+  const minified = uglify.minify(source, {
+    fromString: true, inSourceMap: sourceMap, outSourceMap: outSourceMap
   });
+  return { code: minified.code, map: minified.map };
+}
+
+// publish bundles from main archive in bundle directory and report result per bundle
+// (invalid archive path rejects, like every other failure)
+module.exports = (archivePath, bundleDirectory, options) => Promise.resolve()
+  .then(() => openArchive(archivePath, options && options.events))
+  .then(mainArchive => readLock(bundleDirectory, options)
+    .then(lock => {
+      // get bundle configuration scripts from main archive
+      const bundleNames = selectBundleNames(mainArchive, options);
+      const failFast = options && options.failFast;
+      return Promise.all(bundleNames.map(bundleName =>
+        buildBundle(mainArchive, bundleName, bundleDirectory, options, lock)
+          .then(published => Object.assign({ bundle: bundleName }, published), error => {
+            if (failFast) {
+              throw error;
+            }
+            return { bundle: bundleName, error: describeError(error) };
+          })
+      ))
+        .then(results => writeLock(lock).then(() => results))
+        ;
+    })
+  );
+
+module.exports.BundleError = BundleError;
+
+// plan bundle releases from main archive without publishing anything
+// (pins of lockfile option apply like they would in a build, but lockfile is never written)
+module.exports.plan = (archivePath, options) => Promise.resolve()
+  .then(() => openArchive(archivePath, options && options.events))
+  .then(mainArchive => readLock(null, options)
+    .then(lock => {
+      const bundleNames = selectBundleNames(mainArchive, options);
+      return Promise.all(bundleNames.map(bundleName =>
+        configureBundle(mainArchive, bundleName, options)
+          .then(config => planBundle(mainArchive, bundleName, config, options, lock))
+          // bundle that cannot be planned is reported without failing other plans
+          .then(null, error => ({ name: bundleName, error: describeError(error) }))
+      ))
+        .then(plans => {
+          // map bundle names to release plans
+          const planned = {};
+          bundleNames.forEach((bundleName, i) => { planned[bundleName] = plans[i]; });
+          return planned;
+        })
+        ;
+    })
+  );
+
+// list names of bundles whose configuration scripts are in main archive
+module.exports.list = archivePath => Promise.resolve()
+  .then(() => openArchive(archivePath))
+  .then(mainArchive => selectBundleNames(mainArchive));
+
+// list releases in bundle directory, optionally restricted to releases of one bundle
+module.exports.releases = (bundleDirectory, bundleName) =>
+  (bundleName ? Promise.resolve([bundleName]) : listDirectories(bundleDirectory))
+    .then(bundleNames => Promise.all(bundleNames.map(name =>
+      listDirectories(`${bundleDirectory}/${name}`)
+        .then(releaseIds => Promise.all(releaseIds.map(releaseId =>
+          describeRelease(`${bundleDirectory}/${name}/${releaseId}`, name, releaseId)
+        )))
+        .then(releases => releases.sort((a, b) => a.modified - b.modified))
+    )))
+    .then(releaseLists => [].concat(...releaseLists));
+
+// read meta object of bundle release
+module.exports.inspect = releaseHome => readJSON(`${releaseHome}/0/${assetPath.bundleMeta}`);
+
+// compare meta objects of two bundle releases
+module.exports.diff = (oldHome, newHome) =>
+  Promise.all([module.exports.inspect(oldHome), module.exports.inspect(newHome)])
+    .then(metas => {
+      const oldModules = metas[0]._, newModules = metas[1]._;
+      const difference = {
+        from: { home: oldHome, release: metas[0].release },
+        to: { home: newHome, release: metas[1].release },
+        added: Object.keys(newModules).filter(name => !oldModules[name]).sort(),
+        removed: Object.keys(oldModules).filter(name => !newModules[name]).sort(),
+        changed: {}
+      };
+      for (const moduleName of Object.keys(newModules).sort()) {
+        if (oldModules[moduleName]) {
+          const changes = diffModules(oldModules[moduleName], newModules[moduleName]);
+          if (changes) {
+            difference.changed[moduleName] = changes;
+          }
+        }
+      }
+      return difference;
+    });
+
+// remove old releases from bundle directory, except most recent and pinned releases,
+// and remove cached modules whose files are no longer linked from kept releases
+module.exports.prune = (bundleDirectory, options) => {
+  const keep = options && options.keep >= 0 ? options.keep : keptReleases;
+  const pinned = options && options.pinned || [], dryRun = !!(options && options.dryRun);
+  const cacheOption = options && options.cache;
+  const cacheHome = cacheOption === false ? null :
+    typeof cacheOption === 'string' ? cacheOption : `${bundleDirectory}/${cacheDirectory}`;
+  const isPinned = release =>
+    pinned.indexOf(release.id) >= 0 || pinned.indexOf(`${release.bundle}/${release.id}`) >= 0;
+  return (options && options.bundles ? Promise.resolve(options.bundles) :
+    listDirectories(bundleDirectory))
+    .then(bundleNames => Promise.all(bundleNames.map(bundleName =>
+      module.exports.releases(bundleDirectory, bundleName)
+        // releases are sorted on modification time, most recent last
+        .then(releases => releases.slice(0, Math.max(releases.length - keep, 0)))
+        .then(releases => releases.filter(release => !isPinned(release)))
+    )))
+    .then(releaseLists => [].concat(...releaseLists))
+    .then(releases => Promise.all([
+      Promise.all(releases.map(release => statFiles(release.home))),
+      cacheHome ? listCacheEntries(cacheHome) : [],
+      cacheHome ? collectKeptOrigins(bundleDirectory, releases) : null
+    ])
+      .then(results => {
+        const entries = results[1];
+        const pruned = planPruning(releases, results[0], entries, results[2]);
+        const removing = dryRun ? [] : releases.map(release => release.home)
+          .concat(pruned.entries.map(entry => entry.home));
+        return Promise.all(removing.map(removeTree))
+          .then(() => ({
+            dryRun: dryRun,
+            releases: releases,
+            cached: pruned.entries.map(entry => entry.home),
+            reclaimable: pruned.reclaimable
+          }))
+          ;
+      })
+    )
+    ;
+};
+
+// poll main archive and external archives, and rebuild bundles whose resolved inputs changed
+module.exports.watch = (archivePath, bundleDirectory, watchOptions) => {
+  // watched bundles are built from best archives without lockfile, unless lockfile is specified
+  const options = Object.assign({ lockfile: false }, watchOptions);
+  const watcher = new EventEmitter(), interval = options.interval || watchInterval;
+  // watched state of main archive and resolved inputs per bundle
+  const watched = { stamp: null, archive: null, versions: {}, inputs: {} };
+  let timer = null, closed = false;
+  const report = error => {
+    // unobserved errors should not crash the watching process
+    if (!closed && watcher.listenerCount('error')) {
+      watcher.emit('error', error);
+    }
+  };
+  const schedule = () => {
+    if (!closed) {
+      timer = setTimeout(poll, interval);
+    }
+  };
+  const rebuild = bundleNames => readLock(bundleDirectory, options)
+    .then(lock => Promise.all(bundleNames.map(bundleName => {
+      watcher.emit('start', { bundle: bundleName });
+      return buildBundle(watched.archive, bundleName, bundleDirectory, options, lock)
+        .then(published => {
+          watcher.emit('done', Object.assign({ bundle: bundleName }, published));
+        }, report)
+        ;
+    }))
+      .then(() => writeLock(lock))
+    );
+  function poll() {
+    fsCall('stat', archivePath)
+      .then(stats => {
+        const stamp = `${stats.mtime.getTime()}:${stats.size}`;
+        if (stamp !== watched.stamp) {
+          // broken main archive is reported once, until it changes again
+          watched.stamp = stamp;
+          return configureWatched(watched, archivePath, options, report);
+        }
+      })
+      .then(() => Promise.all(Object.keys(watched.versions).map(bundleName =>
+        resolveInputs(watched.archive, watched.versions[bundleName])
+          .then(inputs => {
+            if (inputs !== watched.inputs[bundleName]) {
+              // failed bundles are rebuilt when their inputs change again
+              watched.inputs[bundleName] = inputs;
+              return bundleName;
+            }
+          })
+      )))
+      .then(bundleNames => bundleNames.filter(bundleName => bundleName))
+      .then(bundleNames => bundleNames.length && !closed ? rebuild(bundleNames) : null)
+      .then(null, report)
+      .then(schedule)
+      ;
+  }
+  watcher.close = () => {
+    closed = true;
+    clearTimeout(timer);
+  };
+  // first poll builds all bundles
+  process.nextTick(poll);
+  return watcher;
+};
+
+// report progress event with duration since start time to events option, e.g. an event emitter
+function notify(events, eventName, event, startTime) {
+  if (events) {
+    event.duration = Date.now() - startTime;
+    events.emit(eventName, event);
+  }
+}
+
+// describe error as plain object in result of bundle
+function describeError(error) {
+  const described = { type: error instanceof BundleError ? error.type : 'failure' };
+  for (const key of ['bundle', 'archive', 'module', 'entry']) {
+    if (error[key] !== undefined) {
+      described[key] = error[key];
+    }
+  }
+  described.message = error.message;
+  return described;
+}
+
+// select sorted bundle names from main archive, restricted to bundles option if present
+function selectBundleNames(mainArchive, options) {
+  const scripts = util.selectEntries(mainArchive.entries, assetPath.bundleScriptsHome, '.js');
+  const bundleNames = Object.keys(scripts).sort(), selected = options && options.bundles;
+  if (!selected) {
+    return bundleNames;
+  }
+  for (const bundleName of selected) {
+    if (!scripts[bundleName]) {
+      const missing = `Missing bundle ${assetPath.bundleScriptsHome}${bundleName}`;
+      const details = { bundle: bundleName, archive: mainArchive.name };
+      throw new BundleError('missing-bundle', `${missing} in ${mainArchive.path}`, details);
+    }
+  }
+  return bundleNames.filter(bundleName => selected.indexOf(bundleName) >= 0);
+}
+
+// describe release with its origins from bundle meta (if available)
+function describeRelease(releaseHome, bundleName, releaseId) {
+  return Promise.all([
+    fsCall('stat', releaseHome),
+    module.exports.inspect(releaseHome).then(null, () => ({}))
+  ])
+    .then(results => ({
+      bundle: bundleName,
+      id: releaseId,
+      home: releaseHome,
+      release: results[1].release,
+      modified: results[0].mtime
+    }))
+    ;
+}
 
+// compare meta info of module in two releases, or return undefined if module is unchanged
+function diffModules(oldMeta, newMeta) {
+  const changes = {};
+  const oldArchive = oldMeta.archive || {}, newArchive = newMeta.archive || {};
+  if (oldArchive.name !== newArchive.name || oldArchive.version !== newArchive.version) {
+    changes.archive = { from: oldArchive, to: newArchive };
+  }
+  // partition digested entries in scripts and public assets
+  const sections = { classes: [assetPath.classHome], publics: [assetPath.publicHome] };
+  sections.configs = [assetPath.configScript, assetPath.configHome];
+  const sectionOf = entryPath => Object.keys(sections)
+    .find(section => sections[section].some(prefix => entryPath.startsWith(prefix))) || 'configs';
+  const entryChanges = diffRecords(oldMeta.digests || {}, newMeta.digests || {});
+  for (const kind in entryChanges) {
+    for (const entryPath of entryChanges[kind]) {
+      const section = sectionOf(entryPath);
+      const sectionChanges = changes[section] || (changes[section] = {});
+      (sectionChanges[kind] || (sectionChanges[kind] = [])).push(entryPath);
+    }
+  }
+  const oldTypes = (oldMeta.datatypes || {})._ || {}, newTypes = (newMeta.datatypes || {})._ || {};
+  const typeChanges = diffRecords(oldTypes, newTypes);
+  if (util.hasEnumerables(typeChanges)) {
+    changes.datatypes = typeChanges;
+  }
+  return util.hasEnumerables(changes) ? changes : undefined;
+}
+
+// compare two records and list keys that were added, removed or changed
+function diffRecords(oldRecord, newRecord) {
+  const added = [], removed = [], changed = [];
+  for (const key of Object.keys(oldRecord).sort()) {
+    if (!(key in newRecord)) {
+      removed.push(key);
+    } else if (JSON.stringify(oldRecord[key]) !== JSON.stringify(newRecord[key])) {
+      changed.push(key);
+    }
+  }
+  for (const key of Object.keys(newRecord).sort()) {
+    if (!(key in oldRecord)) {
+      added.push(key);
+    }
+  }
+  const changes = { added: added, removed: removed, changed: changed };
+  for (const kind in changes) {
+    if (!changes[kind].length) {
+      delete changes[kind];
+    }
+  }
+  return changes;
+}
+
+// configure bundles of (new) main archive to obtain version ranges of external archives
+function configureWatched(watched, archivePath, options, report) {
+  return Promise.resolve()
+    .then(() => openArchive(archivePath, options.events))
+    .then(mainArchive => {
+      const bundleNames = selectBundleNames(mainArchive, options);
+      return Promise.all(bundleNames.map(bundleName =>
+        configureBundle(mainArchive, bundleName, options)
+          .then(config => config.versions || {}, error => {
+            // bundle with broken configuration is skipped until main archive changes
+            report(error);
+            return null;
+          })
+      ))
+        .then(versions => {
+          watched.archive = mainArchive;
+          watched.versions = {};
+          watched.inputs = {};
+          bundleNames.forEach((bundleName, i) => {
+            if (versions[i]) {
+              watched.versions[bundleName] = versions[i];
+            }
+          });
+        })
+        ;
+    })
+    ;
+}
+
+// stamp paths and modification times of best external archives that bundle would use
+function resolveInputs(mainArchive, versions) {
+  const archiveHome = path.dirname(path.dirname(path.dirname(mainArchive.path)));
+  const externalNames = Object.keys(versions).filter(name => name !== mainArchive.name).sort();
+  return Promise.all(externalNames.map(externalName =>
+    scanArchiveVersions(archiveHome, externalName)
+      .then(archivePaths => {
+        const bestVersion = util.bestVersion(Object.keys(archivePaths), versions[externalName]);
+        if (!bestVersion) {
+          return `${externalName}:missing`;
+        }
+        const archivePath = archivePaths[bestVersion];
+        // archive may disappear in the meantime
+        return fsCall('stat', archivePath)
+          .then(stats => `${archivePath}:${stats.mtime.getTime()}:${stats.size}`,
+            () => `${externalName}:missing`)
+          ;
+      })
+  ))
+    .then(stamps => stamps.join())
+    ;
+}
+
+// configure and publish bundle from main archive
+function buildBundle(mainArchive, bundleName, bundleDirectory, options, lock) {
+  return configureBundle(mainArchive, bundleName, options)
+    .then(config => publishBundle(mainArchive, bundleName, config, bundleDirectory, options, lock))
+    .then(null, error => {
+      if (error instanceof BundleError && !error.bundle) {
+        error.bundle = bundleName;
+      }
+      throw error;
+    })
+    ;
+}
+
+// execute bundle configuration script in sandbox to obtain bundle configuration
+function configureBundle(mainArchive, bundleName, options) {
+  const configPath = `${assetPath.bundleScriptsHome}${bundleName}.js`;
+  const origin = sourceOrigin(mainArchive, configPath);
+  return util.unzipText(mainArchive.file, mainArchive.entries[configPath])
+    .then(source => {
+      const sandbox = createSandbox(options);
+      try {
+        return sandbox.configure([sandbox.evaluate(source, configPath)]);
+      } catch (error) {
+        const details = { bundle: bundleName, archive: mainArchive.name, entry: configPath };
+        throw new BundleError('configuration', `Failed configuration ${origin}: ${error.message}`,
+          details);
+      }
+    })
+    ;
+}
+
+// create isolated context that evaluates archived scripts without access to bundler process
+function createSandbox(options) {
+  const timeout = options && options.timeout || evaluationTimeout;
+  // global object without prototype does not leak constructors of bundler process,
+  // and promise jobs of archived scripts run while evaluation is timed
+  const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+  const run = (code, fileName) =>
+    vm.runInContext(code, context, { filename: fileName, timeout: timeout });
+  run(subclassMethod, 'subclass.js');
+  // array of sandbox stages configure closures, because host objects must not enter the context
+  const staged = run(`var configureClosures = [];\n${configureMethod}\nconfigureClosures`,
+    'configure.js');
+  return {
+    // evaluate source of JavaScript expression
+    evaluate: (source, fileName) => run(`(${source}\n)`, fileName),
+    // compute configuration as plain data from sequence of configure closures
+    configure: closures => {
+      staged.length = 0;
+      closures.forEach(closure => { staged.push(closure); });
+      try {
+        const text = run('configureData(configureClosures)', 'configure.js');
+        if (typeof text !== 'string') {
+          throw new Error('Configuration is not serializable');
+        }
+        return JSON.parse(text, reviveConfiguration);
+      } finally {
+        staged.length = 0;
+      }
+    }
+  };
+}
+
+// restore regular expressions and functions in configuration that sandbox serialized
+function reviveConfiguration(key, value) {
+  if (value && typeof value === 'object' && Array.isArray(value[configuredMarker])) {
+    const marked = value[configuredMarker];
+    return marked[0] === 'function' ? sandboxFunction : new RegExp(marked[1], marked[2]);
+  }
+  return value;
+}
 
 // open versioned archive at given path 
-function openArchive(archivePath) {
+function openArchive(archivePath, events) {
+  const startTime = Date.now();
   const archiveVersion = path.basename(path.dirname(archivePath));
   const archiveName = path.basename(path.dirname(path.dirname(archivePath)));
   const patternArchiveName = constants.archive.pattern.name;
   const patternArchiveVersion = constants.archive.pattern.version;
   if (!archiveName.match(patternArchiveName) || !archiveVersion.match(patternArchiveVersion)) {
-    throw new Error(`Invalid archive: ${archivePath}`);
+    const details = { archive: archivePath };
+    throw new BundleError('invalid-archive', `Invalid archive: ${archivePath}`, details);
   }
   return util.unzip(archivePath)
     .then(archive => {
@@ -73,12 +697,15 @@ function openArchive(archivePath) {
       for (const entry in archive.entries) {
         const moduleName = entry.substring(0, entry.indexOf('/'));
         if (moduleName.indexOf('.') > 0) {
-          const archivedModule = modules[moduleName] || (modules[moduleName] = { assets: {} });
+          const archivedModule = modules[moduleName] ||
+            (modules[moduleName] = { name: moduleName, assets: {} });
           // link module specification to originating archive
           archivedModule.archive = archive;
           archivedModule.assets[entry.substring(moduleName.length + 1)] = archive.entries[entry];
         }
       }
+      const opened = { archive: archiveName, version: archiveVersion, path: archivePath };
+      notify(events, 'archive', opened, startTime);
       // object with name, home, version and modules property
       return archive;
     })
@@ -86,115 +713,444 @@ function openArchive(archivePath) {
 }
 
 // publish bundle whose configuration is part of main archive
-function publishBundle(mainArchive, bundleName, bundleConfig, bundleDirectory) {
+function publishBundle(mainArchive, bundleName, bundleConfig, bundleDirectory, options, lock) {
+  // minify JavaScript if bundle configuration asks for it
+  const minifier = bundleConfig.minify ? (options && options.minifier || minifyScript) : null;
+  // collect warnings while publishing new release
+  const warnings = [];
   // collect all modules from source archives
-  return bundleModules(mainArchive, bundleName, bundleConfig)
-    .then(modules => {
+  const events = options && options.events, startTime = Date.now();
+  return bundleModules(mainArchive, bundleName, bundleConfig, options, lock)
+    .then(selection => {
+      const modules = selection.modules;
       // determine directory where bundle should be released
-      const releaseId = releaseBundle(mainArchive, bundleConfig, modules);
-      const releaseHome = `${bundleDirectory}/${bundleName}/${releaseId}`;
+      const releaseId = releaseBundle(mainArchive, bundleConfig, modules, options);
+      const bundleHome = `${bundleDirectory}/${bundleName}`;
+      const releaseHome = `${bundleHome}/${releaseId}`;
+      let reused = true;
       return util.stat(releaseHome)
-        .then(null, () => {
-          // process and publish modules if release does not yet exist
-          const processing = moduleName => processModule(releaseHome, modules[moduleName]);
-          return Promise.all(Object.keys(modules).map(processing))
-            .then(() => {
-              const bundled = { name: bundleName, config: bundleConfig, modules: modules };
-              return publishModules(mainArchive, releaseHome, bundled);
+        .then(() => {
+          // reused release counts as most recent release when old releases are pruned
+          const now = new Date();
+          return fsCall('utimes', releaseHome, now, now);
+        }, () => {
+          // process and publish modules in staging directory if release does not yet exist
+          reused = false;
+          // concurrent publications of same release in this process stage separately
+          const stagingName = `.${releaseId}.${process.pid}.${++stagingCount}.staging`;
+          const stagingHome = `${bundleHome}/${stagingName}`;
+          const bundled = {
+            name: bundleName, config: bundleConfig, modules: modules, minifier: minifier,
+            digesting: !!(bundleConfig.integrity || bundleConfig.fingerprint),
+            sandbox: createSandbox(options), warnings: warnings,
+            encodings: selectEncodings(bundleConfig.compress), events: events,
+            compressible: options && options.compressible || compressibleExtensions,
+            intrinsics: intrinsicTypes.concat(options && options.intrinsicTypes || [])
+          };
+          bundled.processors = createProcessors(bundled, options);
+          // cache is disabled with false option
+          const cacheOption = options && options.cache;
+          if (cacheOption !== false) {
+            bundled.cacheHome = typeof cacheOption === 'string' ? cacheOption :
+              `${bundleDirectory}/${cacheDirectory}`;
+          }
+          const processing = moduleName =>
+            processCachedModule(stagingHome, modules[moduleName], bundled);
+          return removeStaleStaging(bundleHome)
+            .then(() => Promise.all(Object.keys(modules).map(processing)))
+            .then(() => publishModules(mainArchive, stagingHome, bundled))
+            // release is complete when staging directory has been renamed
+            .then(() => fsCall('rename', stagingHome, releaseHome)
+              .then(null, error => {
+                // concurrent build may have published same release in the meantime
+                if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+                  return removeTree(stagingHome);
+                }
+                throw error;
+              })
+            )
+            .then(null, error => removeTree(stagingHome)
+              .then(() => { throw error; })
+            )
+            ;
+        })
+        .then(() => {
+          const completed = { bundle: bundleName, release: releaseId, home: releaseHome };
+          completed.reused = reused;
+          notify(events, 'publish', completed, startTime);
+          if (lock) {
+            lock.resolved[bundleName] = selection.resolved;
+          }
+          const published = { home: releaseHome, reused: reused };
+          if (warnings.length) {
+            published.warnings = warnings;
+          }
+          if (!bundleConfig.integrity && !bundleConfig.fingerprint) {
+            return published;
+          }
+          // result describes integrity of bundle meta, which cannot describe itself
+          return fsCall('readFile', `${releaseHome}/0/${assetPath.bundleMeta}`)
+            .then(metaContent => {
+              published.integrity = {};
+              published.integrity[assetPath.bundleMeta] = digestContent(metaContent).integrity;
+              return published;
             })
             ;
         })
-        .then(() => releaseHome)
         ;
     })
     ;
 }
 
+// read lockfile with pinned archive versions per bundle, unless lockfile option is false
+// (without bundle directory, only lockfile option can name lockfile)
+function readLock(bundleDirectory, options) {
+  const lockOption = options && options.lockfile;
+  if (lockOption === false || !bundleDirectory && typeof lockOption !== 'string') {
+    return Promise.resolve(null);
+  }
+  const lockPath = typeof lockOption === 'string' ? lockOption :
+    `${bundleDirectory}/${lockfileName}`;
+  return readJSON(lockPath)
+    .then(null, error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return {};
+    })
+    .then(pins => ({ path: lockPath, mode: options && options.locking, pins: pins, resolved: {} }))
+    ;
+}
+
+// write lockfile with resolved archive versions, unless lockfile is frozen or unchanged
+function writeLock(lock) {
+  if (!lock || lock.mode === 'frozen') {
+    return Promise.resolve();
+  }
+  // keep pins of bundles that were not resolved in this run
+  const merged = Object.assign({}, lock.pins, lock.resolved), sorted = {};
+  for (const bundleName of Object.keys(merged).sort()) {
+    sorted[bundleName] = merged[bundleName];
+  }
+  const text = JSON.stringify(sorted, null, 2);
+  if (text === JSON.stringify(lock.pins, null, 2)) {
+    return Promise.resolve();
+  }
+  // replace lockfile atomically
+  const temporaryPath = `${lock.path}.${process.pid}.${++temporaryCount}.tmp`;
+  return writeText(temporaryPath, `${text}\n`)
+    .then(() => fsCall('rename', temporaryPath, lock.path))
+    ;
+}
+
+// select encodings of compressed variants that zlib of this Node.js version supports
+function selectEncodings(compress) {
+  if (!compress) {
+    return [];
+  }
+  const encodings = Array.isArray(compress) ? compress : Object.keys(encodingMethods);
+  return encodings.filter(encoding => encodingMethods[encoding] && zlib[encodingMethods[encoding]]);
+}
+
+// remove staging directories that were left behind by bundler processes that are gone
+function removeStaleStaging(bundleHome) {
+  return fsCall('readdir', bundleHome)
+    .then(names => Promise.all(names.map(name => {
+      const match = stagingPattern.exec(name);
+      if (match && !isProcessAlive(parseInt(match[2], 10))) {
+        return removeTree(`${bundleHome}/${name}`);
+      }
+    })), () => undefined)
+    ;
+}
+
+// test whether process with given id is still running
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// plan release of bundle whose configuration is part of main archive
+function planBundle(mainArchive, bundleName, bundleConfig, options, lock) {
+  return bundleModules(mainArchive, bundleName, bundleConfig, options, lock)
+    .then(selection => {
+      const modules = selection.modules, archives = selection.archives;
+      const releaseId = releaseBundle(mainArchive, bundleConfig, modules, options);
+      const plannedArchives = {}, plannedModules = {}, totals = { count: 0, size: 0 };
+      for (const archiveName of Object.keys(archives).sort()) {
+        plannedArchives[archiveName] = archives[archiveName].version;
+      }
+      for (const moduleName of Object.keys(modules).sort()) {
+        const bundledModule = modules[moduleName], assets = bundledModule.assets;
+        const publicAssets = util.selectEntries(assets, assetPath.publicHome);
+        const publics = { count: 0, size: 0 };
+        for (const publicPath in publicAssets) {
+          ++publics.count;
+          publics.size += publicAssets[publicPath].uncompressedSize;
+        }
+        totals.count += publics.count;
+        totals.size += publics.size;
+        plannedModules[moduleName] = {
+          archive: { name: bundledModule.archive.name, version: bundledModule.archive.version },
+          ordinal: bundledModule.ordinal,
+          rule: selection.rules[moduleName],
+          configs: Object.keys(util.selectEntries(assets, assetPath.configHome, '.js')).length + 1,
+          classes: Object.keys(util.selectEntries(assets, assetPath.classHome, '.js')).length,
+          publics: publics
+        };
+      }
+      return {
+        name: bundleName,
+        release: releaseId,
+        origins: bundleConfig.release,
+        processing: bundleConfig.processing,
+        archives: plannedArchives,
+        boot: bundleConfig.boot,
+        modules: plannedModules,
+        excluded: selection.excluded,
+        publics: totals
+      };
+    })
+    ;
+}
+
 // collect bundled modules from source archives
-function bundleModules(mainArchive, bundleName, bundleConfig) {
-  const archives = {}, bundledModules = {};
+function bundleModules(mainArchive, bundleName, bundleConfig, options, lock) {
+  const events = options && options.events, archives = {};
   archives[mainArchive.name] = mainArchive;
   const externals = bundleConfig.versions || {};
   delete externals[mainArchive.name];
+  // pinned versions are ignored when lockfile is updated
+  const pins = lock && lock.mode !== 'update' && lock.pins[bundleName] || {};
+  const frozen = lock && lock.mode === 'frozen';
+  const scriptPath = `${assetPath.bundleScriptsHome}${bundleName}`;
   // find and open external archives (relative to same directory as main archive)
   return Promise.all(Object.keys(externals).map(externalName => {
-    const externalVersion = externals[externalName];
+    const externalVersion = externals[externalName], pinnedVersion = pins[externalName];
     const archiveHome = path.dirname(path.dirname(path.dirname(mainArchive.path)));
-    return findBestArchive(archiveHome, externalName, externalVersion)
+    const details = { bundle: bundleName, archive: externalName }, startTime = Date.now();
+    const resolve = () => findBestArchive(archiveHome, externalName, externalVersion, events);
+    let resolving, pinned = false;
+    if (pinnedVersion && util.bestVersion([pinnedVersion], externalVersion)) {
+      const pinnedHome = `${archiveHome}/${externalName}/${pinnedVersion}`;
+      // resolve again when pinned archive has disappeared, unless lockfile is frozen
+      resolving = Promise.resolve(`${pinnedHome}/${constants.archive.file}.zip`)
+        .then(pinnedPath => openArchive(pinnedPath, events))
+        .then(pinnedArchive => {
+          pinned = true;
+          return pinnedArchive;
+        }, () => frozen ? null : resolve())
+        ;
+    } else if (frozen) {
+      const unpinned = `Lockfile ${lock.path} does not pin ${externalName} ${externalVersion}`;
+      const error = new BundleError('lockfile', `${scriptPath}: ${unpinned}`, details);
+      resolving = Promise.reject(error);
+    } else {
+      resolving = resolve();
+    }
+    return resolving
       .then(externalArchive => {
         if (!externalArchive) {
-          const missing = `Missing archive ${externalName} ${externalVersion}`;
-          throw new Error(`${assetPath.bundleScriptsHome}${bundleName}: ${missing}`);
+          const missing = frozen ? `Missing pinned archive ${externalName} ${pinnedVersion}` :
+            `Missing archive ${externalName} ${externalVersion}`;
+          throw new BundleError('missing-archive', `${scriptPath}: ${missing}`, details);
         }
         archives[externalName] = externalArchive;
+        const resolved = {
+          bundle: bundleName, archive: externalName, range: externalVersion,
+          version: externalArchive.version, pinned: pinned
+        };
+        notify(events, 'resolve', resolved, startTime);
       })
       ;
   }))
-    .then(function() {
-      // collect bundled modules and report conflicts
-      const includes = bundleConfig.includes || [''], excludes = bundleConfig.excludes || [];
-      for (const archiveName in archives) {
-        const modules = archives[archiveName].modules;
-        for (const moduleName in modules) {
-          const patternMatch = pattern => moduleName.startsWith(pattern);
-          if (includes.some(patternMatch) && !excludes.some(patternMatch)) {
-            if (bundledModules[moduleName]) {
-              const otherName = bundledModules[moduleName].archive.name;
-              throw new Error(`${moduleName} in archives ${otherName} and ${archiveName}`);
-            }
-            bundledModules[moduleName] = modules[moduleName];
-          }
-        }
+    .then(() => {
+      const selection = selectModules(bundleName, bundleConfig, archives);
+      // resolved versions of external archives are pinned when bundle has been published
+      selection.resolved = {};
+      for (const externalName of Object.keys(externals).sort()) {
+        selection.resolved[externalName] = archives[externalName].version;
       }
-      return bundledModules;
+      return selection;
     })
     ;
 }
 
+// select bundled modules from archives with include, exclude and prefer rules
+function selectModules(bundleName, bundleConfig, archives) {
+  const candidates = {}, bundledModules = {}, excludedModules = [], selectedRules = {};
+  const includeOption = bundleConfig.includes, excludeOption = bundleConfig.excludes;
+  const prefers = bundleConfig.prefers || {};
+  function exclude(moduleName, archiveName, rule) {
+    const excludedArchive = { name: archiveName, version: archives[archiveName].version };
+    excludedModules.push({ name: moduleName, archive: excludedArchive, rule: rule });
+  }
+  // collect candidate modules that are included and not excluded
+  for (const archiveName in archives) {
+    const modules = archives[archiveName].modules;
+    const includes = archivePatterns(includeOption, archiveName, ['']);
+    const excludes = archivePatterns(excludeOption, archiveName, []);
+    for (const moduleName in modules) {
+      const patternMatch = pattern => matchPattern(pattern, moduleName);
+      const included = includes.findIndex(patternMatch);
+      const excluded = included < 0 ? -1 : excludes.findIndex(patternMatch);
+      if (included < 0) {
+        exclude(moduleName, archiveName, 'unmatched');
+      } else if (excluded >= 0) {
+        exclude(moduleName, archiveName,
+          describeRule('excludes', excludeOption, archiveName, excludes[excluded]));
+      } else {
+        const found = candidates[moduleName] || (candidates[moduleName] = []);
+        const rule = describeRule('includes', includeOption, archiveName, includes[included]);
+        found.push({ archive: archiveName, rule: rule });
+      }
+    }
+  }
+  // resolve conflicts between archives with preferences or report them
+  for (const moduleName of Object.keys(candidates).sort()) {
+    const found = candidates[moduleName];
+    let chosen = found[0];
+    if (found.length > 1) {
+      const preferred = Object.keys(prefers).find(pattern => matchPattern(pattern, moduleName) &&
+        found.some(candidate => candidate.archive === prefers[pattern]));
+      if (preferred === undefined) {
+        const archiveNames = found.map(candidate => candidate.archive);
+        const details = { bundle: bundleName, archive: archiveNames[1], module: moduleName };
+        throw new BundleError('module-conflict',
+          `${moduleName} in archives ${archiveNames.join(' and ')}`, details);
+      }
+      chosen = found.find(candidate => candidate.archive === prefers[preferred]);
+      const rule = `prefers:${JSON.stringify(preferred)}=${chosen.archive}`;
+      for (const candidate of found) {
+        if (candidate !== chosen) {
+          exclude(moduleName, candidate.archive, rule);
+        }
+      }
+    }
+    // bundles share modules of main archive, so each bundle processes its own copy
+    bundledModules[moduleName] = Object.assign({}, archives[chosen.archive].modules[moduleName]);
+    selectedRules[moduleName] = chosen.rule;
+  }
+  // object with archives, bundled and excluded modules and rules that selected modules
+  return {
+    archives: archives, modules: bundledModules, excluded: excludedModules, rules: selectedRules
+  };
+}
+
+// select include or exclude patterns, which are either shared by or specific to archives
+function archivePatterns(option, archiveName, defaultPatterns) {
+  if (!option) {
+    return defaultPatterns;
+  } else if (Array.isArray(option)) {
+    return option;
+  }
+  return option[archiveName] || option['*'] || [];
+}
+
+// describe include or exclude rule that applied to module of archive
+function describeRule(kind, option, archiveName, pattern) {
+  const scope = option && !Array.isArray(option) ?
+    `[${option[archiveName] ? archiveName : '*'}]` : '';
+  const described = typeof pattern === 'string' ? JSON.stringify(pattern) : String(pattern);
+  return `${kind}${scope}:${described}`;
+}
+
+// test module name against regular expression, glob pattern or prefix
+function matchPattern(pattern, moduleName) {
+  if (Object.prototype.toString.call(pattern) === '[object RegExp]') {
+    pattern.lastIndex = 0;
+    return pattern.test(moduleName);
+  } else if (/[*?]/.test(pattern)) {
+    const expression = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${expression}$`).test(moduleName);
+  }
+  return moduleName.startsWith(pattern);
+}
+
 // open archive with highest version that satifies dependency on external archive
-function findBestArchive(homeDir, archiveName, archiveVersion) {
+function findBestArchive(homeDir, archiveName, archiveVersion, events) {
+  return scanArchiveVersions(homeDir, archiveName)
+    .then(versions => {
+      const bestVersion = util.bestVersion(Object.keys(versions), archiveVersion);
+      if (bestVersion) {
+        return openArchive(versions[bestVersion], events);
+      }
+    })
+    ;
+}
+
+// map available versions of named archive to paths of archive files
+function scanArchiveVersions(homeDir, archiveName) {
   const versionPattern = constants.archive.version;
   const archivePath = `${homeDir}/${archiveName}/${versionPattern}/${constants.archive.file}.zip`;
   const versions = {};
   return util.eachFile(archivePath, file => {
     versions[path.basename(path.dirname(file.path))] = file.path;
   })
-    .then(() => {
-      const bestVersion = util.bestVersion(Object.keys(versions), archiveVersion);
-      if (bestVersion) {
-        return openArchive(versions[bestVersion]);
-      }
-    })
+    .then(() => versions)
     ;
 }
 
 // compute directory name for bundle release
-function releaseBundle(mainArchive, bundleConfig, modules) {
+function releaseBundle(mainArchive, bundleConfig, modules, options) {
   // collect archives from where bundle configuration and bundled modules originate
   const moduleOrigins = [`=${mainArchive.name}/${mainArchive.version}`];
   Object.keys(modules).sort().forEach((moduleName, index) => {
     const bundledModule = modules[moduleName];
     bundledModule.configs = [];
     bundledModule.classes = {};
+    bundledModule.classPaths = {};
+    bundledModule.digests = {};
     bundledModule.ordinal = index + 1;
     if (bundledModule.assets[assetPath.bootScript]) {
       if (bundleConfig.boot) {
-        throw new Error(`Boot conflict between ${bundleConfig.boot} and ${moduleName}`);
+        const conflict = `Boot conflict between ${bundleConfig.boot} and ${moduleName}`;
+        const details = {
+          archive: bundledModule.archive.name, module: moduleName,
+          entry: `${moduleName}/${assetPath.bootScript}`
+        };
+        throw new BundleError('boot-conflict', conflict, details);
       }
       bundleConfig.boot = moduleName;
     }
     const moduleArchive = bundledModule.archive;
     moduleOrigins.push(`${moduleName}=${moduleArchive.name}/${moduleArchive.version}`);
   });
-  // calculate release id from md5 signature of module origins
+  // calculate release id from md5 signature of module origins and custom processing
   const release = bundleConfig.release = moduleOrigins.join();
-  return crypto.createHash('md5').update(release, 'utf8').digest('base64')
+  const processing = customProcessing(bundleConfig, options);
+  if (processing) {
+    bundleConfig.processing = processing;
+  }
+  return crypto.createHash('md5').update(processing ? `${release};${processing}` : release, 'utf8')
+    .digest('base64')
     .replace(/=*$/, '').replace(/\//g, '-').replace(/\+/g, '_');
   ;
 }
 
+// describe processors, minifier and compressible extensions of options that change published files
+function customProcessing(bundleConfig, options) {
+  // extension without version is identified by digest of its source
+  const identify = (name, extension) => extension.version ? `${name}@${extension.version}` :
+    `${name}#${digestContent(String(extension.process || extension)).fingerprint}`;
+  const custom = (options && options.processors || [])
+    .map(processor => identify(processor.name || 'processor', processor));
+  if (bundleConfig.minify && options && options.minifier) {
+    custom.push(identify('minifier', options.minifier));
+  }
+  if (bundleConfig.compress && options && options.compressible) {
+    custom.push(`compressible=${options.compressible.slice().sort().join('.')}`);
+  }
+  return custom.join(',');
+}
+
 // process assets of module
-function processModule(releaseHome, bundledModule) {
+function processModule(releaseHome, bundledModule, bundled) {
   const bundledAssets = bundledModule.assets;
   const configAssets = util.selectEntries(bundledAssets, assetPath.configHome, '.js');
   const classAssets = util.selectEntries(bundledAssets, assetPath.classHome, '.js');
@@ -217,108 +1173,360 @@ function processModule(releaseHome, bundledModule) {
   processAssets(classAssets, classPath =>
     util.unzipText(bundledModule.archive.file, classAssets[classPath])
       .then(classSource => {
-        bundledModule.classes[classPath.replace(util.vseps, '.')] = classSource;
+        const className = classPath.replace(util.vseps, '.');
+        bundledModule.classes[className] = classSource;
+        bundledModule.classPaths[className] = `${assetPath.classHome}${classPath}.js`;
       })
   );
-  // copy public assets
-  processAssets(publicAssets, publicPath => {
-    const input = util.unzipStream(bundledModule.archive.file, publicAssets[publicPath]);
-    const outputPath = `${releaseHome}/${bundledModule.ordinal}/${publicPath}`;
-    const output = util.openWriteStream(outputPath);
-    return util.copy(input, output);
-  });
-  // minify JavaScript assets
-  /*
-  processAssets(publicAssets, publicPath => {
-    if (publicPath.endsWith('.js') && !publicPath.endsWith('.min.js')) {
-      const javaScriptAsset = publicAssets[publicPath];
-      return util.unzipText(bundledModule.archive.file, javaScriptAsset)
-        .then(scriptSource => {
-          const miniSource = uglify.minify(scriptSource, { fromString: true }).code;
-          javaScriptAsset.minifiedSize = Buffer.byteLength(miniSource);
-          const miniPath = publicPath.replace(/js$/, 'min.js');
-          const outputPath = `${releaseHome}/${bundledModule.ordinal}/${miniPath}`;
-          return util.copy(util.streamInput(miniSource), util.openWriteStream(outputPath));
-        })
-        ;
-    }
-  });
-  */
-  // datafy small binary assets
-  processAssets(publicAssets, publicPath => {
-    const extension = path.extname(publicPath).substring(1);
-    const publicAsset = publicAssets[publicPath];
-    if (datafyExtensions[extension] && publicAsset.uncompressedSize <= datafyLimit) {
-      return util.unzipBuffer(bundledModule.archive.file, publicAsset)
-        .then(data => { publicAsset.datafied = datafy(extension, data); })
-        ;
+  // run processors over public assets and publish their results in same order as assets
+  const publishedFiles = [];
+  processAssets(publicAssets, (publicPath, i) =>
+    util.unzipBuffer(bundledModule.archive.file, publicAssets[publicPath])
+      .then(content =>
+        processPublicAsset(bundled, bundledModule, publicAssets, publicPath, content)
+      )
+      .then(files => publishFiles(releaseHome, bundledModule, bundled, files))
+      .then(published => { publishedFiles[i] = published; })
+  );
+  // promise to process all assets
+  return Promise.all(processingAssets)
+    .then(() => {
+      bundledModule.publishes = {};
+      for (const published of [].concat(...publishedFiles)) {
+        bundledModule.publishes[published.path] = published.record;
+        bundledModule.digests[`${assetPath.publicHome}${published.path}`] = published.integrity;
+      }
+    })
+    ;
+}
+
+// run chain of processors over public asset, which may transform it, emit files and add metadata
+function processPublicAsset(bundled, bundledModule, publicAssets, publicPath, content) {
+  const startTime = Date.now();
+  const extension = path.extname(publicPath).substring(1), emitted = [];
+  const asset = {
+    path: publicPath,
+    extension: extension,
+    module: bundledModule.name,
+    content: content,
+    meta: {},
+    exists: otherPath => !!publicAssets[otherPath],
+    emit: (emitPath, emitContent, meta) => {
+      emitted.push({ path: emitPath, content: emitContent, meta: meta || {} });
     }
-  });
-  // improve info about large graphics assets
-  processAssets(publicAssets, publicPath => {
-    const extension = path.extname(publicPath).substring(1);
-    const publicAsset = publicAssets[publicPath];
-    if (graphicsExtensions[extension] && publicAsset.uncompressedSize > datafyLimit) {
-      return util.unzipBuffer(bundledModule.archive.file, publicAsset)
-        .then(data => {
-          const dimensions = imageDimensions(data);
-          publicAsset.imageHeight = dimensions.height;
-          publicAsset.imageWidth = dimensions.width;
+  };
+  let chainedPromise = Promise.resolve();
+  for (const processor of bundled.processors) {
+    if (!processor.extensions || processor.extensions.indexOf(extension) >= 0) {
+      chainedPromise = chainedPromise
+        .then(() => processor.process(asset))
+        .then(null, error => {
+          if (error instanceof BundleError) {
+            throw error;
+          }
+          const entry = `${bundledModule.name}/${assetPath.publicHome}${publicPath}`;
+          const failure = `Failed ${processor.name || 'processor'} of ${entry}: ${error.message}`;
+          const details = {
+            bundle: bundled.name, archive: bundledModule.archive.name,
+            module: bundledModule.name, entry: entry
+          };
+          throw new BundleError('processor', failure, details);
         })
         ;
     }
-  });
-  // promise to process all assets
-  return Promise.all(processingAssets);
+  }
+  return chainedPromise
+    .then(() => {
+      const processed = {
+        bundle: bundled.name, module: bundledModule.name, path: publicPath,
+        size: Buffer.byteLength(asset.content), datafied: !!asset.meta.data64,
+        measured: !!asset.meta.pixel, emitted: emitted.map(file => file.path)
+      };
+      notify(bundled.events, 'asset', processed, startTime);
+      return [{ path: publicPath, content: asset.content, meta: asset.meta }].concat(emitted);
+    })
+    ;
+}
+
+// write processed files of public asset, named after their digests if bundle is fingerprinted
+function publishFiles(releaseHome, bundledModule, bundled, files) {
+  return Promise.all(files.map(file => {
+    const record = { size: Buffer.byteLength(file.content) };
+    const digest = digestContent(file.content);
+    let outputPath = file.path;
+    Object.assign(record, file.meta);
+    if (bundled.digesting) {
+      record.integrity = digest.integrity;
+      if (bundled.config.fingerprint) {
+        outputPath = record.file = fingerprintPath(file.path, digest.fingerprint);
+      }
+    }
+    const filePath = `${releaseHome}/${bundledModule.ordinal}/${outputPath}`;
+    const compressible = bundled.compressible.indexOf(path.extname(file.path).substring(1)) >= 0;
+    return Promise.all([
+      util.copy(util.streamInput(file.content), util.openWriteStream(filePath)),
+      compressible ? compressVariants(bundled, file.content) : {}
+    ])
+      .then(results => {
+        const variants = results[1];
+        for (const encoding in variants) {
+          record[encoding] = variants[encoding].length;
+        }
+        return writeVariants(filePath, variants);
+      })
+      .then(() => ({ path: file.path, record: record, integrity: digest.integrity }))
+      ;
+  }));
+}
+
+// process assets of module, reusing output of earlier release from cache if possible
+function processCachedModule(releaseHome, bundledModule, bundled) {
+  const archive = bundledModule.archive, startTime = Date.now();
+  const processed = cached => {
+    const event = {
+      bundle: bundled.name, module: bundledModule.name,
+      archive: archive.name, version: archive.version, cached: cached
+    };
+    notify(bundled.events, 'module', event, startTime);
+  };
+  // cached output of unidentified processors could be stale
+  const processors = bundled.processors.map(processorIdentity);
+  if (!bundled.cacheHome || processors.indexOf(null) >= 0) {
+    return processModule(releaseHome, bundledModule, bundled).then(() => processed(false));
+  }
+  const moduleHome = `${releaseHome}/${bundledModule.ordinal}`;
+  // output of processing depends on settings of bundle
+  const variant = processors
+    .concat(bundled.digesting && 'integrity', bundled.config.fingerprint && 'fingerprint')
+    .concat(bundled.encodings.map(encoding => `compress.${encoding}`))
+    .concat(bundled.encodings.length && bundled.compressible.join('.'))
+    .filter(setting => setting).join('-');
+  const moduleCache = `${archive.name}/${archive.version}/${bundledModule.name}/${variant}`;
+  const cacheHome = `${bundled.cacheHome}/${moduleCache}`;
+  return readJSON(`${cacheHome}/${cachedModuleFile}`)
+    .then(cached => restoreModule(cacheHome, moduleHome, bundledModule, cached))
+    .then(() => processed(true), () => processModule(releaseHome, bundledModule, bundled)
+      .then(() => storeModule(cacheHome, moduleHome, bundledModule))
+      .then(() => processed(false))
+    )
+    ;
+}
+
+// link cached output into release and restore processed module
+function restoreModule(cacheHome, moduleHome, bundledModule, cached) {
+  return Promise.all(cached.files.map(filePath =>
+    linkFile(`${cacheHome}/files/${filePath}`, `${moduleHome}/${filePath}`)
+  ))
+    .then(() => {
+      bundledModule.configs = cached.configs;
+      bundledModule.classes = cached.classes;
+      bundledModule.classPaths = cached.classPaths;
+      bundledModule.publishes = cached.publishes;
+      bundledModule.digests = cached.digests;
+    })
+    ;
+}
+
+// link output of processed module into cache and describe it
+function storeModule(cacheHome, moduleHome, bundledModule) {
+  return listFiles(moduleHome)
+    .then(null, () => [])
+    .then(files => Promise.all(files.map(filePath =>
+      linkFile(`${moduleHome}/${filePath}`, `${cacheHome}/files/${filePath}`)
+    ))
+      .then(() => {
+        // cached module is complete when its description has been written
+        const cached = {
+          configs: bundledModule.configs,
+          classes: bundledModule.classes,
+          classPaths: bundledModule.classPaths,
+          publishes: bundledModule.publishes,
+          digests: bundledModule.digests,
+          files: files
+        };
+        const temporaryPath = `${cacheHome}/${cachedModuleFile}.${process.pid}.${++temporaryCount}`;
+        return writeText(temporaryPath, JSON.stringify(cached))
+          .then(() => fsCall('rename', temporaryPath, `${cacheHome}/${cachedModuleFile}`))
+          ;
+      })
+    )
+    ;
 }
 
 // publish new release of bundled modules
 function publishModules(mainArchive, releaseHome, bundled) {
-  // directory 0 holds assets of anonymous module
-  const loaderPath = `${releaseHome}/0/${assetPath.bundleLoader}`;
-  // const miniPath = `${releaseHome}/0/${assetPath.bundleMini}`;
-  const metaPath = `${releaseHome}/0/${assetPath.bundleMeta}`;
   return Promise.all([
     createBundlePrologue(bundled.name, bundled.modules, bundled.config.boot),
-    createBundleSpecs(mainArchive, bundled.name, bundled.modules, bundled.config.release)
+    createBundleSpecs(mainArchive, bundled)
   ])
     .then(sources => {
-      const loaderSource = `${sources[0]}.bundle(${sources[1]});`;
-      // const miniSource = uglify.minify(loaderSource, { fromString: true }).code;
-      const moduleSpecs = evaluateModuleSpecs(sources[1]);
-      const outputOptions = { defaultEncoding: 'utf8' };
-      const loaderOutput = util.openWriteStream(loaderPath, outputOptions);
-      // const miniOutput = util.openWriteStream(miniPath, outputOptions);
-      const metaOutput = util.openWriteStream(metaPath, outputOptions);
-      return Promise.all([
-        util.copy(util.streamInput(loaderSource), loaderOutput),
-        // util.copy(util.streamInput(miniSource), miniOutput),
-        util.copyJSON(createBundleMeta(moduleSpecs), metaOutput)
-      ]);
+      const loader = createGenerator();
+      loader.include(sources[0]);
+      loader('.bundle(');
+      loader.include(sources[1]);
+      loader(');');
+      const loaderSource = loader.text();
+      const loaderMap = createSourceMap(loader, assetPath.bundleLoader);
+      bundled.specs = sources[1];
+      const moduleSpecs = evaluateModuleSpecs(bundled);
+      // map names of published loader files to their text
+      const published = {};
+      published[assetPath.bundleLoader] =
+        `${loaderSource}\n//# sourceMappingURL=${assetPath.bundleLoaderMap}`;
+      published[assetPath.bundleLoaderMap] = JSON.stringify(loaderMap);
+      // minified loader is published next to original loader
+      const minifying = bundled.minifier &&
+        bundled.minifier(loaderSource, assetPath.bundleLoader, loaderMap);
+      return Promise.resolve(minifying)
+        .then(minified => {
+          if (minified) {
+            published[assetPath.bundleMini] = minifiedCode(minified);
+            if (minified.map) {
+              published[assetPath.bundleMiniMap] = minified.map;
+            }
+          }
+          const metaObject = createBundleMeta(moduleSpecs, bundled);
+          metaObject.graph = validateDependencies(bundled, metaObject._);
+          metaObject.typespace = validateDatatypes(bundled, metaObject._);
+          metaObject.sizes = measureSizes(bundled, published);
+          return publishLoader(releaseHome, bundled, published, metaObject);
+        })
+        ;
+    })
+    ;
+}
+
+// write loader files and bundle meta, which describes published loader files
+function publishLoader(releaseHome, bundled, published, metaObject) {
+  // directory 0 holds assets of anonymous module
+  const metaPath = `${releaseHome}/0/${assetPath.bundleMeta}`;
+  const fileNames = Object.keys(published).sort();
+  return Promise.all(fileNames.map(fileName => compressVariants(bundled, published[fileName])))
+    .then(variants => {
+      if (bundled.digesting || bundled.encodings.length) {
+        // bundle meta cannot describe itself, build result holds its integrity
+        metaObject.publishes = {};
+        fileNames.forEach((fileName, i) => {
+          const text = published[fileName], described = { size: Buffer.byteLength(text) };
+          if (bundled.digesting) {
+            described.integrity = digestContent(text).integrity;
+          }
+          for (const encoding in variants[i]) {
+            described[encoding] = variants[i][encoding].length;
+          }
+          metaObject.publishes[fileName] = described;
+        });
+      }
+      const metaOutput = util.openWriteStream(metaPath, { defaultEncoding: 'utf8' });
+      return Promise.all(fileNames
+        .map((fileName, i) => {
+          const filePath = `${releaseHome}/0/${fileName}`;
+          return Promise.all([
+            writeText(filePath, published[fileName]), writeVariants(filePath, variants[i])
+          ]);
+        })
+        .concat(util.copyJSON(metaObject, metaOutput))
+      );
     })
+    .then(() => bundled.encodings.length && fsCall('readFile', metaPath)
+      .then(metaContent => compressVariants(bundled, metaContent))
+      .then(variants => writeVariants(metaPath, variants))
+    )
     ;
 }
 
+// write text file in release
+function writeText(filePath, text) {
+  const output = util.openWriteStream(filePath, { defaultEncoding: 'utf8' });
+  return util.copy(util.streamInput(text), output);
+}
+
 // create prologue with appropriate loader for bundled modules
 function createBundlePrologue(bundleName, bundledModules, bootName) {
+  const generate = createGenerator();
   if (bootName) {
     // use boot script to load modules
     const bootModule = bundledModules[bootName];
     const bootScript = bootModule.assets[assetPath.bootScript];
+    const origin = sourceOrigin(bootModule.archive, `${bootName}/${assetPath.bootScript}`);
     return util.unzipText(bootModule.archive.file, bootScript)
-      .then(bootSource => `(${bootSource}('${bundleName}','${bootName}'))`)
+      .then(bootSource => {
+        generate('(');
+        generate.source(origin, bootSource);
+        generate(`('${bundleName}','${bootName}'))`);
+        return generate;
+      })
       ;
   } else {
     // rely on string method to load modules
-    return `'${bundleName}'`;
+    generate(`'${bundleName}'`);
+    return generate;
   }
 }
 
+// create generator that concatenates fragments and tracks where archived sources are generated
+function createGenerator() {
+  const fragments = [], mappings = [], position = { line: 1, column: 0 };
+  function generate() {
+    for (let i = 0; i < arguments.length; ++i) {
+      const fragment = String(arguments[i]), lastBreak = fragment.lastIndexOf('\n');
+      fragments.push(fragment);
+      if (lastBreak < 0) {
+        position.column += fragment.length;
+      } else {
+        position.line += fragment.split('\n').length - 1;
+        position.column = fragment.length - lastBreak - 1;
+      }
+    }
+  }
+  // generate source that originates from archive entry
+  generate.source = (origin, source) => {
+    mappings.push({ line: position.line, column: position.column, origin: origin, source: source });
+    generate(source);
+  };
+  // generate text of other generator, including its mappings
+  generate.include = other => {
+    for (const mapping of other.mappings) {
+      mappings.push({
+        line: position.line + mapping.line - 1,
+        column: mapping.line === 1 ? position.column + mapping.column : mapping.column,
+        origin: mapping.origin,
+        source: mapping.source
+      });
+    }
+    generate(other.text());
+  };
+  generate.text = () => fragments.join('');
+  generate.mappings = mappings;
+  return generate;
+}
+
+// name archive entry as source of generated code
+function sourceOrigin(archive, entryPath) {
+  return `${archive.name}/${archive.version}/${entryPath}`;
+}
+
+// create source map that maps lines of generated code back to archive entries
+function createSourceMap(generate, fileName) {
+  const sourceMap = new SourceMapGenerator({ file: fileName });
+  for (const mapping of generate.mappings) {
+    sourceMap.setSourceContent(mapping.origin, mapping.source);
+    mapping.source.split('\n').forEach((sourceLine, i) => {
+      sourceMap.addMapping({
+        source: mapping.origin,
+        original: { line: i + 1, column: 0 },
+        generated: { line: mapping.line + i, column: i ? 0 : mapping.column }
+      });
+    });
+  }
+  return sourceMap.toJSON();
+}
+
 // create bundle and module specifications
-function createBundleSpecs(mainArchive, bundleName, modules, release) {
-  const generated = [], generate = generated.push.bind(generated);
+function createBundleSpecs(mainArchive, bundled) {
+  const generate = createGenerator(), modules = bundled.modules;
   generate(`{'':{'':[`)
-  return generateBundleConfigs(generate, mainArchive, bundleName, release)
+  return generateBundleConfigs(generate, mainArchive, bundled)
     .then(() => {
       generate(']}');
       let chainedPromise = Promise.resolve();
@@ -334,13 +1542,14 @@ function createBundleSpecs(mainArchive, bundleName, modules, release) {
     })
     .then(() => {
       generate('}');
-      return generated.join('');
+      return generate;
     })
     ;
 }
 
 // generate configuration scripts of bundle loader
-function generateBundleConfigs(generate, mainArchive, bundleName, release) {
+function generateBundleConfigs(generate, mainArchive, bundled) {
+  const bundleName = bundled.name, release = bundled.config.release;
   // include configuration info about module origins in this release
   const origins = release.replace(/=/g, `':'`).replace(/,/g, `','`).replace(/\/[0-9.]+/g, '');
   generate('function(bundle){"use strict";');
@@ -354,13 +1563,21 @@ function generateBundleConfigs(generate, mainArchive, bundleName, release) {
   generate('};');
   generate('bundle.publishes={');
   generate(`'`, assetPath.bundleLoader, `':-1,`);
-  // generate(`'`, assetPath.bundleMini, `':-1,`);
+  generate(`'`, assetPath.bundleLoaderMap, `':-1,`);
+  if (bundled.minifier) {
+    generate(`'`, assetPath.bundleMini, `':-1,`);
+    generate(`'`, assetPath.bundleMiniMap, `':-1,`);
+  }
   generate(`'`, assetPath.bundleMeta, `':-1`);
   generate('};');
   generate('},');
   const configPath = `${assetPath.bundleScriptsHome}${bundleName}.js`;
   return util.unzipText(mainArchive.file, mainArchive.entries[configPath])
-    .then(configSource => { generate(configSource); })
+    .then(configSource => {
+      bundled.digests = {};
+      bundled.digests[configPath] = digestContent(configSource).integrity;
+      generate.source(sourceOrigin(mainArchive, configPath), configSource);
+    })
     ;
 }
 
@@ -377,8 +1594,16 @@ function computeSourceVersions(release) {
 // generate module specification of bundle loader
 function generateModuleSpec(generate, bundledModule) {
   const archive = bundledModule.archive, assets = bundledModule.assets;
+  // generate archived source and remember its digest
+  const generateSource = (entryPath, source) => {
+    bundledModule.digests[entryPath] = digestContent(source).integrity;
+    generate.source(sourceOrigin(archive, `${bundledModule.name}/${entryPath}`), source);
+  };
   return util.unzipText(archive.file, assets[assetPath.configScript])
-    .then(scriptSource => { generate(`{'':[`, scriptSource); })
+    .then(scriptSource => {
+      generate(`{'':[`);
+      generateSource(assetPath.configScript, scriptSource);
+    })
     .then(() => {
       let chainedPromise = Promise.resolve();
       const secondaryScripts = util.selectEntries(assets, assetPath.configHome);
@@ -386,63 +1611,70 @@ function generateModuleSpec(generate, bundledModule) {
         chainedPromise = chainedPromise
           .then(() => {
             generate(',');
-            return util.unzipText(archive.file, secondaryScripts[configName]).then(generate);
+            return util.unzipText(archive.file, secondaryScripts[configName])
+              .then(scriptSource => {
+                generateSource(`${assetPath.configHome}${configName}`, scriptSource);
+              })
+              ;
           })
           ;
       }
       return chainedPromise;
     })
     .then(() => {
-      const publicAssets = util.selectEntries(assets, assetPath.publicHome);
-      if (util.hasEnumerables(publicAssets)) {
-        generatePublicSpecs(generate, archive, publicAssets);
+      if (util.hasEnumerables(bundledModule.publishes)) {
+        generatePublicSpecs(generate, bundledModule.publishes);
       }
     })
     .then(() => {
       generate(']');
-      const classes = bundledModule.classes;
+      const classes = bundledModule.classes, classPaths = bundledModule.classPaths;
       for (const className of Object.keys(classes).sort()) {
-        generate(`,'`, className, `':`, classes[className]);
+        generate(`,'`, className, `':`);
+        generateSource(classPaths[className], classes[className]);
       }
       generate('}');
     })
     ;
 }
 
-// generate info about public assets
-function generatePublicSpecs(generate, archive, assets) {
+// generate info about published files of public assets
+function generatePublicSpecs(generate, publishes) {
   generate(`,function(module){"use strict";`);
   generate('module.publishes={');
-  Object.keys(assets).forEach(function(publicPath, i) {
-    const publicAsset = assets[publicPath], size = publicAsset.uncompressedSize;
+  Object.keys(publishes).forEach(function(publicPath, i) {
+    const record = publishes[publicPath];
     generate(i ? ',' : '', `'`, publicPath, `':`);
-    if (publicAsset.datafied) {
-      generate('{size:', size, `,data64:'`, publicAsset.datafied, `'}`);
-    } else if (publicAsset.imageHeight) {
-      const height = publicAsset.imageHeight, width = publicAsset.imageWidth;
-      generate('{size:', size, ',pixel:{height:', height, ',width:', width, '}}');
-    } else {
-      generate(size);
-    }
-    if (publicAsset.minifiedSize) {
-      generate(`,'`, publicPath.replace(/js$/, 'min.js'), `':`, publicAsset.minifiedSize);
-    }
+    // plain size suffices if there are no details about published file
+    generate(Object.keys(record).length > 1 ? sourceLiteral(record) : record.size);
   });
   generate('};');
   generate('}');
 }
 
+// compact JavaScript source of JSON value, without quotes around identifier keys
+function sourceLiteral(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  const properties = Object.keys(value).filter(key => value[key] !== undefined).map(key => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    return `${name}:${sourceLiteral(value[key])}`;
+  });
+  return `{${properties.join(',')}}`;
+}
+
 // generate meta object that describes the modules in a bundle
-function createBundleMeta(moduleSpecs) {
+function createBundleMeta(moduleSpecs, bundled) {
   // extract release info from bundle config that maps bundled modules to archives
-  const bundleConfig = collectModuleConfig(moduleSpecs['']['']);
+  const bundleConfig = collectModuleConfig(bundled, '', moduleSpecs['']['']);
   const moduleArchives = bundleConfig.modules, archiveVersions = bundleConfig.archives;
   const sortedNames = Object.keys(moduleArchives).sort();
   const metaObject = {};
   // collect more meta info about modules
   for (const moduleName in moduleArchives) {
     const moduleSpec = moduleSpecs[moduleName];
-    const moduleConfig = collectModuleConfig(moduleSpec['']);
+    const moduleConfig = collectModuleConfig(bundled, moduleName, moduleSpec['']);
     const dependencies = moduleConfig.depends || [];
     const serviceProviders = moduleConfig.provides ? Object.keys(moduleConfig.provides) : [];
     // collect dependencies from class scripts
@@ -463,35 +1695,321 @@ function createBundleMeta(moduleSpecs) {
       provides: serviceProviders.length ? serviceProviders.sort() : undefined,
       ordinal: sortedNames.indexOf(moduleName),
       optional: typeof moduleConfig.test === 'function' ? 'y' : undefined,
-      datatypes: util.hasEnumerables(datatypes) ? { _: flatTypespace(datatypes) } : undefined
+      datatypes: util.hasEnumerables(datatypes) ? { _: flatTypespace(datatypes) } : undefined,
+      publishes: bundled.digesting ? describeDigested(bundled, moduleName) : undefined,
+      digests: sortDigests(moduleName ? bundled.modules[moduleName].digests : bundled.digests)
     };
   }
-  return { _: metaObject };
+  return { _: metaObject, release: bundled.config.release, processing: bundled.config.processing };
+}
+
+// evaluate generated module specifications in sandbox
+function evaluateModuleSpecs(bundled) {
+  try {
+    return bundled.sandbox.evaluate(bundled.specs.text(), assetPath.bundleLoader);
+  } catch (error) {
+    const origin = locateFailure(bundled.specs, error) || `bundle ${bundled.name}`;
+    throw new BundleError('evaluation', `Failed evaluation ${origin}: ${error.message}`,
+      { bundle: bundled.name, entry: origin });
+  }
 }
 
-function evaluateModuleSpecs(source) {
-  // install temporary string method
-  String.prototype.subclass = function() {
-    const n = arguments.length - 1;
-    for (let i = 0; i < n; ++i) {
-      if (Array.isArray(arguments[i])) {
-        return arguments[i];
+// name archive entry and line where evaluation of generated source failed
+function locateFailure(generate, error) {
+  const fileName = assetPath.bundleLoader.replace(/[.]/g, '\\.');
+  const match = new RegExp(`(?:^|[\\s(])${fileName}:(\\d+)`).exec(error && error.stack || '');
+  if (match) {
+    const line = parseInt(match[1], 10), mappings = generate.mappings;
+    for (let i = mappings.length - 1; i >= 0; --i) {
+      const mapping = mappings[i];
+      if (mapping.line <= line) {
+        const lineCount = mapping.source.split('\n').length;
+        if (line < mapping.line + lineCount) {
+          return `${mapping.origin}:${line - mapping.line + 1}`;
+        }
+        return undefined;
+      }
+    }
+  }
+}
+
+// fail, warn about or ignore problems, as validate setting of bundle configuration asks
+function reportProblems(bundled, kind, type, problems) {
+  const validation = bundled.config.validate && bundled.config.validate[kind] || 'warn';
+  if (problems.length && validation === 'fail') {
+    const message = problems.map(problem => problem.message).join('; ');
+    const details = { bundle: bundled.name, module: problems[0].module || undefined };
+    throw new BundleError(type, message, details);
+  } else if (validation !== 'ignore') {
+    bundled.warnings.push(...problems.map(problem => problem.message));
+  }
+}
+
+// resolve dependencies of bundled modules and validate resulting dependency graph
+function validateDependencies(bundled, moduleMetas) {
+  const moduleNames = Object.keys(moduleMetas).filter(moduleName => moduleName).sort();
+  const providers = {}, graph = {}, problems = [];
+  for (const moduleName of moduleNames) {
+    for (const serviceName of moduleMetas[moduleName].provides || []) {
+      (providers[serviceName] || (providers[serviceName] = [])).push(moduleName);
+    }
+  }
+  // dependency on module or service provider resolves to module names
+  for (const moduleName of moduleNames) {
+    const resolved = [];
+    for (const dependencyName of moduleMetas[moduleName].depends || []) {
+      const targets = moduleMetas[dependencyName] ? [dependencyName] : providers[dependencyName];
+      if (!targets) {
+        const message = `Missing dependency ${dependencyName} of ${moduleName}`;
+        problems.push({ module: moduleName, message: message });
+      }
+      for (const target of targets || []) {
+        if (resolved.indexOf(target) < 0) {
+          resolved.push(target);
+        }
+      }
+    }
+    graph[moduleName] = resolved.sort();
+  }
+  // depth-first search reports cycles with exact chain of dependent modules
+  const visited = {}, chain = [];
+  function visit(moduleName) {
+    const index = chain.indexOf(moduleName);
+    if (index >= 0) {
+      const cycle = chain.slice(index).concat(moduleName).join(' -> ');
+      problems.push({ module: moduleName, message: `Dependency cycle ${cycle}` });
+    } else if (!visited[moduleName]) {
+      visited[moduleName] = true;
+      chain.push(moduleName);
+      graph[moduleName].forEach(visit);
+      chain.pop();
+    }
+  }
+  moduleNames.forEach(visit);
+  reportProblems(bundled, 'dependencies', 'dependency', problems);
+  return graph;
+}
+
+// validate flat types of bundled modules and index modules that define type names
+function validateDatatypes(bundled, moduleMetas) {
+  const moduleNames = Object.keys(moduleMetas).sort(), definers = {}, problems = [];
+  const typespaces = {};
+  for (const moduleName of moduleNames) {
+    const datatypes = moduleMetas[moduleName].datatypes;
+    typespaces[moduleName] = datatypes ? datatypes._ : {};
+    for (const typeName in typespaces[moduleName]) {
+      (definers[typeName] || (definers[typeName] = [])).push(moduleName);
+    }
+  }
+  for (const typeName of Object.keys(definers).sort()) {
+    if (definers[typeName].length > 1) {
+      const owners = definers[typeName].map(moduleName => moduleName || bundled.name);
+      const message = `Duplicate type ${typeName} in ${owners.join(' and ')}`;
+      problems.push({ module: definers[typeName][1], message: message });
+    }
+  }
+  // report every undefined type name once, with all places that refer to it
+  const undefinedTypes = {};
+  for (const moduleName of moduleNames) {
+    const typespace = typespaces[moduleName];
+    for (const typeName of Object.keys(typespace).sort()) {
+      const scanned = scanType(typespace[typeName]);
+      const where = `${typeName} (${moduleName || bundled.name})`;
+      const known = name => definers[name] || bundled.intrinsics.indexOf(name) >= 0 ||
+        scanned.parameters.indexOf(name) >= 0;
+      const refer = (name, place) => {
+        const places = undefinedTypes[name] || (undefinedTypes[name] = []);
+        places.push({ module: moduleName, place: place });
+      };
+      if (scanned.malformed) {
+        const message = `Malformed type ${where}: ${scanned.malformed}`;
+        problems.push({ module: moduleName, message: message });
+      }
+      if (scanned.superName && !known(scanned.superName)) {
+        refer(scanned.superName, `super type of ${where}`);
+      }
+      for (const name of scanned.arguments.filter(name => !known(name))) {
+        refer(name, `macro parameters of ${where}`);
+      }
+      for (const name of scanned.references.filter(name => !known(name))) {
+        refer(name, where);
       }
     }
+  }
+  for (const name of Object.keys(undefinedTypes).sort()) {
+    const places = undefinedTypes[name];
+    const message = `Undefined type ${name} in ${places.map(used => used.place).join(', ')}`;
+    problems.push({ module: places[0].module, message: message });
+  }
+  reportProblems(bundled, 'datatypes', 'datatype', problems);
+  // unified typespace maps type names to defining modules
+  const index = {};
+  for (const typeName of Object.keys(definers).sort()) {
+    index[typeName] = definers[typeName][0];
+  }
+  return index;
+}
+
+// scan flat type for macro parameters, super type and referenced type names
+// grammar of flat types: [(name=type,...)][super+]{field:type,...} or type expression,
+// where field names may be quoted or end with ? when field is optional
+function scanType(source) {
+  const tokens = source.match(typeTokens) || [], stack = [];
+  const closers = { '(': ')', '<': '>', '[': ']', '{': '}' };
+  const scanned = { parameters: [], arguments: [], references: [], superName: undefined };
+  // macro equations precede super type and record fields
+  let macro = tokens[0] === '(' && tokens[2] === '=';
+  // tokens of field name, while field name of record type is being scanned
+  let fieldName = null;
+  const add = (names, name) => {
+    if (names.indexOf(name) < 0) {
+      names.push(name);
+    }
   };
-  // evaluate module specifications
-  const specs = Function('return ' + source)();
-  delete String.prototype.subclass;
-  return specs;
+  const malformed = problem => { scanned.malformed = scanned.malformed || problem; };
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (fieldName && token !== '}') {
+      if (token !== ':') {
+        fieldName.push(token);
+        return;
+      } else if (!fieldName.length) {
+        malformed('missing field name');
+      }
+      fieldName = null;
+    } else if (closers[token]) {
+      stack.push(token);
+    } else if (token === ')' || token === '>' || token === ']' || token === '}') {
+      if (fieldName && fieldName.length) {
+        malformed(`missing type of field ${fieldName.join('')}`);
+      }
+      fieldName = null;
+      const opener = stack.pop();
+      if (closers[opener] !== token) {
+        malformed(`unexpected ${token}`);
+      }
+    } else if (/^[A-Za-z_$]/.test(token)) {
+      const inMacro = macro && stack.length === 1;
+      if (next === '=') {
+        if (inMacro) {
+          add(scanned.parameters, token);
+        }
+      } else if (inMacro) {
+        add(scanned.arguments, token);
+      } else if (next === '+' && !stack.length && !scanned.superName) {
+        scanned.superName = token;
+      } else {
+        add(scanned.references, token);
+      }
+    }
+    if ((token === '{' || token === ',') && stack[stack.length - 1] === '{') {
+      fieldName = [];
+    }
+    if (macro && !stack.length) {
+      macro = false;
+    }
+  });
+  if (stack.length) {
+    malformed(`unclosed ${stack[stack.length - 1]}`);
+  }
+  return scanned;
+}
+
+// measure loader, inline data and public assets, and check sizes against bundle budgets
+function measureSizes(bundled, published) {
+  const budgets = bundled.config.budgets || {}, problems = [];
+  const sizes = { loader: {}, modules: {}, archives: {} };
+  for (const fileName of [assetPath.bundleLoader, assetPath.bundleMini]) {
+    if (published[fileName]) {
+      sizes.loader[fileName] = Buffer.byteLength(published[fileName]);
+    }
+  }
+  for (const moduleName of Object.keys(bundled.modules).sort()) {
+    const bundledModule = bundled.modules[moduleName], archiveName = bundledModule.archive.name;
+    const moduleSizes = { archive: archiveName, inline: 0, publics: 0 };
+    const archiveSizes = sizes.archives[archiveName] ||
+      (sizes.archives[archiveName] = { inline: 0, publics: 0 });
+    const publishes = bundledModule.publishes || {}, inlined = [];
+    for (const publicPath of Object.keys(publishes).sort()) {
+      const record = publishes[publicPath], data = record.data64 ? record.data64.length : 0;
+      moduleSizes.inline += data;
+      moduleSizes.publics += record.size;
+      const entry = `${moduleName}/${assetPath.publicHome}${publicPath}`;
+      if (data) {
+        inlined.push({ entry: entry, size: data });
+      }
+      if (budgets.asset && record.size > budgets.asset) {
+        const message = `Asset ${entry} of ${record.size} bytes exceeds budget of ${budgets.asset}`;
+        problems.push({ module: moduleName, message: message });
+      }
+    }
+    if (budgets.inline && moduleSizes.inline > budgets.inline) {
+      const message = `Inline data of ${moduleName} (${archiveName}) of ${moduleSizes.inline} ` +
+        `bytes exceeds budget of ${budgets.inline}: ${describeSizes(inlined, 'entry')}`;
+      problems.push({ module: moduleName, message: message });
+    }
+    archiveSizes.inline += moduleSizes.inline;
+    archiveSizes.publics += moduleSizes.publics;
+    sizes.modules[moduleName] = moduleSizes;
+  }
+  // minified loader is what clients load, if available
+  const loaderName = sizes.loader[assetPath.bundleMini] ? assetPath.bundleMini :
+    assetPath.bundleLoader;
+  if (budgets.loader && sizes.loader[loaderName] > budgets.loader) {
+    const byModule = Object.keys(sizes.modules).map(moduleName =>
+      ({ name: moduleName, size: sizes.modules[moduleName].inline }));
+    const byArchive = Object.keys(sizes.archives).map(archiveName =>
+      ({ name: archiveName, size: sizes.archives[archiveName].inline }));
+    const message = `Loader ${loaderName} of ${sizes.loader[loaderName]} bytes exceeds budget ` +
+      `of ${budgets.loader}, inline data by module: ${describeSizes(byModule, 'name')}, ` +
+      `by archive: ${describeSizes(byArchive, 'name')}`;
+    problems.push({ message: message });
+  }
+  reportProblems(bundled, 'budgets', 'budget', problems);
+  return sizes;
+}
+
+// describe largest sizes first, omitting empty ones
+function describeSizes(measured, key) {
+  return measured
+    .filter(item => item.size)
+    .sort((a, b) => b.size - a.size || (a[key] < b[key] ? -1 : 1))
+    .map(item => `${item[key]} ${item.size}`)
+    .join(', ') || 'none';
 }
 
-// sequence of configure closures computes configuration
-function collectModuleConfig(configureClosures) {
-  const config = {};
-  for (const closure of configureClosures) {
-    closure(config);
+// sort digests of archived sources and published files on their entry paths
+function sortDigests(digests) {
+  const sorted = {};
+  for (const entryPath of Object.keys(digests).sort()) {
+    sorted[entryPath] = digests[entryPath];
+  }
+  return sorted;
+}
+
+// describe digested files that bundled module publishes
+function describeDigested(bundled, moduleName) {
+  const bundledModule = bundled.modules[moduleName];
+  if (!bundledModule) {
+    return undefined;
+  }
+  const publishes = bundledModule.publishes, described = {};
+  for (const publicPath of Object.keys(publishes).sort()) {
+    const record = publishes[publicPath];
+    described[publicPath] = { size: record.size, integrity: record.integrity, file: record.file };
+  }
+  return util.hasEnumerables(described) ? described : undefined;
+}
+
+// sequence of configure closures computes configuration in sandbox
+function collectModuleConfig(bundled, moduleName, configureClosures) {
+  try {
+    return bundled.sandbox.configure(configureClosures);
+  } catch (error) {
+    const origin = locateFailure(bundled.specs, error) || `module ${moduleName || bundled.name}`;
+    throw new BundleError('configuration', `Failed configuration ${origin}: ${error.message}`,
+      { bundle: bundled.name, module: moduleName || undefined, entry: origin });
   }
-  return config;
 }
 
 // convert configured datatypes to flat typespace
@@ -527,3 +2045,180 @@ function flatRecordType(fields) {
   accu.push('}');
   return accu.join('');
 }
+
+// promise result of asynchronous file system call
+function fsCall(method) {
+  const args = Array.prototype.slice.call(arguments, 1);
+  return new Promise((resolve, reject) => {
+    fs[method].apply(fs, args.concat((error, result) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    }));
+  });
+}
+
+// read and parse JSON file
+function readJSON(filePath) {
+  return fsCall('readFile', filePath, 'utf8').then(JSON.parse);
+}
+
+// make directory, including missing parent directories
+function makeDirectories(dirPath) {
+  return fsCall('mkdir', dirPath)
+    .then(null, error => {
+      if (error.code === 'ENOENT') {
+        return makeDirectories(path.dirname(dirPath)).then(() => makeDirectories(dirPath));
+      } else if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    })
+    ;
+}
+
+// list relative paths of all files below directory
+function listFiles(dirPath) {
+  return fsCall('readdir', dirPath)
+    .then(names => Promise.all(names.map(name => {
+      const childPath = `${dirPath}/${name}`;
+      return fsCall('stat', childPath)
+        .then(stats => stats.isDirectory() ?
+          listFiles(childPath).then(files => files.map(file => `${name}/${file}`)) : [name]
+        )
+        ;
+    })))
+    .then(lists => [].concat(...lists))
+    ;
+}
+
+// hard link file at new path, replacing existing file and copying across file systems
+function linkFile(sourcePath, targetPath) {
+  return makeDirectories(path.dirname(targetPath))
+    .then(() => fsCall('link', sourcePath, targetPath))
+    .then(null, error => {
+      if (error.code === 'EEXIST') {
+        // replace atomically, because concurrent publication may link same file
+        const temporaryPath = `${targetPath}.${process.pid}.${++temporaryCount}.tmp`;
+        return fsCall('link', sourcePath, temporaryPath)
+          .then(() => fsCall('rename', temporaryPath, targetPath));
+      } else if (error.code === 'EXDEV' || error.code === 'EPERM') {
+        return util.copy(fs.createReadStream(sourcePath), util.openWriteStream(targetPath));
+      }
+      throw error;
+    })
+    ;
+}
+
+// list names of subdirectories, ignoring hidden directories
+function listDirectories(dirPath) {
+  return fsCall('readdir', dirPath)
+    .then(names => Promise.all(names.map(name => name.charAt(0) === '.' ? false :
+      fsCall('stat', `${dirPath}/${name}`).then(stats => stats.isDirectory() && name)
+    )))
+    .then(names => names.filter(name => name).sort())
+    ;
+}
+
+// stat all files below directory
+function statFiles(dirPath) {
+  return listFiles(dirPath)
+    .then(files => Promise.all(files.map(file => fsCall('stat', `${dirPath}/${file}`))))
+    ;
+}
+
+// list cached modules with stats of module description and cached files
+function listCacheEntries(cacheHome) {
+  return listFiles(cacheHome)
+    .then(null, () => [])
+    .then(files => Promise.all(files
+      .filter(file => path.basename(file) === cachedModuleFile)
+      .map(file => {
+        const entryPath = path.dirname(file), filesPrefix = `${entryPath}/files/`;
+        const cachedFiles = files.filter(cachedFile => cachedFile.startsWith(filesPrefix));
+        return Promise.all([
+          fsCall('stat', `${cacheHome}/${file}`),
+          Promise.all(cachedFiles.map(cachedFile => fsCall('stat', `${cacheHome}/${cachedFile}`)))
+        ])
+          .then(stats => {
+            // cache path is archive name, archive version, module name and variant
+            const segments = entryPath.split('/');
+            return {
+              home: `${cacheHome}/${entryPath}`, meta: stats[0], files: stats[1],
+              origin: `${segments[2]}=${segments[0]}/${segments[1]}`
+            };
+          })
+          ;
+      })
+    ))
+    ;
+}
+
+// collect module origins of releases that pruning keeps, or null if a kept release is unreadable
+function collectKeptOrigins(bundleDirectory, prunedReleases) {
+  const prunedHomes = prunedReleases.map(release => release.home);
+  return module.exports.releases(bundleDirectory)
+    .then(releases => Promise.all(releases
+      .filter(release => prunedHomes.indexOf(release.home) < 0)
+      .map(release => module.exports.inspect(release.home).then(meta => meta.release.split(',')))
+    ))
+    .then(originLists => [].concat(...originLists), () => null)
+    ;
+}
+
+// select cached modules that only pruned releases use and compute reclaimable space
+// (cached module without files is obsolete when no kept release bundles its origin)
+function planPruning(releases, releaseStats, entries, keptOrigins) {
+  // count links to files (inodes) from pruned releases and cached modules
+  const inodes = {};
+  const inodeOf = stats => {
+    const key = `${stats.dev}:${stats.ino}`;
+    return inodes[key] || (inodes[key] = { nlink: stats.nlink, size: stats.size, links: 0 });
+  };
+  const releaseInodes = releaseStats.map(stats => stats.map(inodeOf));
+  const entryInodes = entries.map(entry => entry.files.map(inodeOf));
+  releaseInodes.forEach(found => { found.forEach(inode => { ++inode.links; }); });
+  entryInodes.forEach(found => { found.forEach(inode => { ++inode.links; }); });
+  // cached module is obsolete when no other (kept) release links its files
+  const obsolete = entries.filter((entry, i) => entryInodes[i].length ?
+    entryInodes[i].every(inode => inode.links === inode.nlink) :
+    !!keptOrigins && keptOrigins.indexOf(entry.origin) < 0);
+  // files are reclaimed when all their links are removed
+  for (const key in inodes) {
+    inodes[key].links = 0;
+  }
+  const removed = releaseInodes.concat(entryInodes.filter((found, i) =>
+    obsolete.indexOf(entries[i]) >= 0));
+  removed.forEach(found => { found.forEach(inode => { ++inode.links; }); });
+  let reclaimable = 0;
+  for (const key in inodes) {
+    if (inodes[key].links === inodes[key].nlink) {
+      reclaimable += inodes[key].size;
+    }
+  }
+  releases.forEach((release, i) => {
+    release.size = releaseInodes[i]
+      .filter(inode => inode.links === inode.nlink)
+      .reduce((total, inode) => total + inode.size, 0);
+  });
+  for (const entry of obsolete) {
+    reclaimable += entry.meta.size;
+  }
+  return { entries: obsolete, reclaimable: reclaimable };
+}
+
+// remove file or directory with everything below it
+function removeTree(filePath) {
+  return fsCall('lstat', filePath)
+    .then(stats => !stats.isDirectory() ? fsCall('unlink', filePath) : fsCall('readdir', filePath)
+      .then(names => Promise.all(names.map(name => removeTree(`${filePath}/${name}`))))
+      .then(() => fsCall('rmdir', filePath))
+    )
+    .then(null, error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    })
+    ;
+}
@@ -0,0 +1,715 @@
+"use strict";
+
+const assert = require('assert');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const constants = require('oma-constants');
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
+
+const bundler = require('..');
+const fixtures = require('./fixtures');
+
+const loaderFile = `${constants.bundle.file}.js`, metaFile = `${constants.bundle.file}.json`;
+const miniFile = `${constants.bundle.file}.min.js`;
+
+// Subresource Integrity string of content
+function integrity(content) {
+  return `sha256-${crypto.createHash('sha256').update(content).digest('base64')}`;
+}
+
+// expected release id of bundle with module origins
+function releaseId(release) {
+  return crypto.createHash('md5').update(release, 'utf8').digest('base64')
+    .replace(/=*$/, '').replace(/\//g, '-').replace(/\+/g, '_');
+}
+
+// public text assets that compress well
+const webScript = 'function hello(){return "hello";}\n'.repeat(50);
+const webStyle = 'body{margin:0;padding:0;}\n'.repeat(50);
+
+describe('bundler', function() {
+  let archiveHome, bundleDirectory, mainArchive;
+
+  before(function() {
+    archiveHome = fixtures.createTemporary('oma-archives-');
+    const appEntries = fixtures.moduleEntries('App.Main', {
+      config: `function(module){module.description='Main module';` +
+        `module.datatypes={Point:{$super:'Shape',x:'number',y:'number'}};}`,
+      classes: { Main: `'Object'.subclass(['Lib.Base'],{})` },
+      publics: { 'icon.png': fixtures.tinyPNG, 'photo.png': fixtures.largePNG }
+    });
+    appEntries[fixtures.entryPath.bundleScript('main')] =
+      `function(bundle){bundle.versions={lib:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('missing')] =
+      `function(bundle){bundle.versions={lib:'1',nowhere:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('conflict')] =
+      `function(bundle){bundle.versions={lib:'1',dup:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('boots')] =
+      `function(bundle){bundle.versions={lib:'1',boot:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('compressed')] =
+      `function(bundle){bundle.versions={web:'1'};bundle.compress=['gz'];}`;
+    appEntries[fixtures.entryPath.bundleScript('typed')] =
+      `function(bundle){bundle.versions={lib:'1',types:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('mistyped')] =
+      `function(bundle){bundle.versions={lib:'1',types:'2'};}`;
+    appEntries[fixtures.entryPath.bundleScript('strict')] =
+      `function(bundle){bundle.versions={lib:'1',types:'2'};bundle.validate={datatypes:'fail'};}`;
+    appEntries[fixtures.entryPath.bundleScript('web')] =
+      `function(bundle){bundle.versions={web:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('minified')] =
+      `function(bundle){bundle.versions={web:'1'};bundle.minify=true;}`;
+    appEntries[fixtures.entryPath.bundleScript('digested')] =
+      `function(bundle){bundle.versions={web:'1'};bundle.integrity=true;bundle.fingerprint=true;}`;
+    appEntries[fixtures.entryPath.bundleScript('selective')] =
+      `function(bundle){bundle.versions={lib:'1',dup:'1'};` +
+      `bundle.includes={app:[/^App\\./],'*':['Lib.*']};bundle.excludes=['Lib.Boot'];` +
+      `bundle.prefers={'Lib.B?se':'dup'};}`;
+    appEntries[fixtures.entryPath.bundleScript('cycles')] =
+      `function(bundle){bundle.versions={lib:'1',cycle:'1'};}`;
+    appEntries[fixtures.entryPath.bundleScript('acyclic')] = `function(bundle){` +
+      `bundle.versions={lib:'1',cycle:'1'};bundle.validate={dependencies:'fail'};}`;
+    appEntries[fixtures.entryPath.bundleScript('budgets')] = `function(bundle){` +
+      `bundle.versions={lib:'1'};bundle.budgets={asset:100};bundle.validate={budgets:'fail'};}`;
+    appEntries[fixtures.entryPath.bundleScript('loops')] = `function(bundle){for(;;){}}`;
+    appEntries[fixtures.entryPath.bundleScript('promises')] = `function(bundle){` +
+      `bundle.versions={lib:'1'};Promise.resolve().then(function(){for(;;){}});}`;
+    appEntries[fixtures.entryPath.bundleScript('getter')] = `function(bundle){` +
+      `Object.defineProperty(bundle,'versions',{enumerable:true,get:function(){for(;;);}});}`;
+    // configuration fails if a constructor of the sandbox leads to the bundler process
+    appEntries[fixtures.entryPath.bundleScript('escape')] = `function(bundle){` +
+      `var reached=[bundle.constructor.constructor('return typeof process')(),` +
+      `configureClosures.constructor.constructor('return typeof process')()];` +
+      `if(reached.join()!=='undefined,undefined'){throw new Error('process '+reached);}` +
+      `bundle.versions={lib:'1'};}`;
+    const libEntries = version => Object.assign(
+      fixtures.moduleEntries('Lib.Base', {
+        config: `function(module){module.datatypes={Shape:'{kind:string}'};}`,
+        classes: { Base: `'Object'.subclass({version:'${version}'})` },
+        publics: { 'lib.png': fixtures.largePNG }
+      }),
+      fixtures.moduleEntries('Lib.Boot', { boot: 'function(bundleName,bootName){return {};}' })
+    );
+    return Promise.all([
+      fixtures.writeArchive(archiveHome, 'app', '1.0.0', appEntries),
+      fixtures.writeArchive(archiveHome, 'lib', '1.0.0', libEntries('1.0.0')),
+      fixtures.writeArchive(archiveHome, 'lib', '1.1.0', libEntries('1.1.0')),
+      fixtures.writeArchive(archiveHome, 'dup', '1.0.0', fixtures.moduleEntries('Lib.Base', {})),
+      fixtures.writeArchive(archiveHome, 'boot', '1.0.0',
+        fixtures.moduleEntries('Boot.Other', { boot: 'function(){return {};}' })),
+      fixtures.writeArchive(archiveHome, 'web', '1.0.0', fixtures.moduleEntries('Web.Assets', {
+        publics: { 'app.js': webScript, 'style.css': webStyle, 'icon.png': fixtures.tinyPNG }
+      })),
+      fixtures.writeArchive(archiveHome, 'cycle', '1.0.0', Object.assign(
+        fixtures.moduleEntries('Cycle.A', { config: `function(m){m.depends=['Cycle.B'];}` }),
+        fixtures.moduleEntries('Cycle.B', { config: `function(m){m.depends=['Cycle.A'];}` })
+      )),
+      fixtures.writeArchive(archiveHome, 'types', '1.0.0', fixtures.moduleEntries('Types.Pair', {
+        config: `function(module){module.datatypes={Pair:{$macro:['T=string'],$super:'Shape',` +
+          `first:'T','second?':'T|null'},Pairs:'[Pair]'};}`
+      })),
+      fixtures.writeArchive(archiveHome, 'types', '2.0.0', fixtures.moduleEntries('Types.Pair', {
+        config: `function(module){module.datatypes={Broken:'{x:[string}',` +
+          `Orphan:{$super:'Missing',a:'Unknown',b:'Unknown'},Other:'Unknown|null'};}`
+      }))
+    ])
+      .then(archivePaths => { mainArchive = archivePaths[0]; });
+  });
+
+  beforeEach(function() {
+    bundleDirectory = fixtures.createTemporary('oma-bundles-');
+  });
+
+  afterEach(function() {
+    fixtures.removeTree(bundleDirectory);
+  });
+
+  after(function() {
+    fixtures.removeTree(archiveHome);
+  });
+
+  // publish release of main bundle with older library and then release with newer library
+  function publishReleases() {
+    fs.writeFileSync(`${bundleDirectory}/bundle.lock.json`, '{"main":{"lib":"1.0.0"}}');
+    return bundler(mainArchive, bundleDirectory, { bundles: ['main'] })
+      .then(results => {
+        const oldHome = results[0].home, past = new Date(Date.now() - 60000);
+        fs.utimesSync(oldHome, past, past);
+        return bundler(mainArchive, bundleDirectory, { bundles: ['main'], locking: 'update' })
+          .then(updated => ({ oldHome: oldHome, newHome: updated[0].home }));
+      });
+  }
+
+  // publish bundle with options and promise its result
+  function publishing(bundleName, options) {
+    return bundler(mainArchive, bundleDirectory, Object.assign({ bundles: [bundleName] }, options))
+      .then(results => results[0]);
+  }
+
+  // read meta object of release
+  function readMeta(releaseHome) {
+    return JSON.parse(fs.readFileSync(`${releaseHome}/0/${metaFile}`, 'utf8'));
+  }
+
+  describe('release', function() {
+    let result;
+
+    beforeEach(function() {
+      return bundler(mainArchive, bundleDirectory, { bundles: ['main'] })
+        .then(results => { result = results[0]; });
+    });
+
+    it('is named after module origins with best archive versions', function() {
+      const release = '=app/1.0.0,App.Main=app/1.0.0,Lib.Base=lib/1.1.0,Lib.Boot=lib/1.1.0';
+      assert.strictEqual(result.bundle, 'main');
+      assert.strictEqual(result.error, undefined);
+      assert.strictEqual(result.home, `${bundleDirectory}/main/${releaseId(release)}`);
+      return bundler.plan(mainArchive, { bundles: ['main'] })
+        .then(planned => { assert.strictEqual(planned.main.release, releaseId(release)); });
+    });
+
+    it('is reused when origins do not change', function() {
+      return bundler(mainArchive, bundleDirectory, { bundles: ['main'] })
+        .then(results => { assert.strictEqual(results[0].home, result.home); })
+        .then(() => bundler.releases(bundleDirectory, 'main'))
+        .then(releases => { assert.deepStrictEqual(releases.map(r => r.home), [result.home]); });
+    });
+
+    it('starts loader with boot script and bundle configuration', function() {
+      const loader = fs.readFileSync(`${result.home}/0/${loaderFile}`, 'utf8');
+      assert.ok(loader.startsWith('(function(bundleName,bootName){return {};}'));
+      assert.ok(loader.indexOf(`('main','Lib.Boot')).bundle({'':{'':[function(bundle){`) > 0);
+      assert.ok(loader.indexOf(
+        `bundle.modules={'':'app','App.Main':'app','Lib.Base':'lib','Lib.Boot':'lib'};`) > 0);
+      assert.ok(loader.indexOf(`bundle.archives={'app':'1.0.0','lib':'1.1.0'};`) > 0);
+      assert.ok(loader.indexOf(`'Main':'Object'.subclass(['Lib.Base'],{})`) > 0);
+      assert.ok(loader.indexOf(`version:'1.1.0'`) > 0);
+      assert.ok(loader.endsWith(`//# sourceMappingURL=${loaderFile}.map`));
+    });
+
+    it('inlines small images and measures large images', function() {
+      const loader = fs.readFileSync(`${result.home}/0/${loaderFile}`, 'utf8');
+      assert.ok(loader.indexOf(`'icon.png':{size:${fixtures.tinyPNG.length},data64:`) > 0);
+      assert.ok(loader.indexOf(`'photo.png':{size:${fixtures.largePNG.length},` +
+        `pixel:{height:1,width:1}}`) > 0);
+      const photo = fs.readFileSync(`${result.home}/1/photo.png`);
+      assert.ok(photo.equals(fixtures.largePNG));
+    });
+
+    it('describes modules in bundle meta', function() {
+      const meta = JSON.parse(fs.readFileSync(`${result.home}/0/${metaFile}`, 'utf8'));
+      const appMeta = meta._['App.Main'];
+      assert.strictEqual(meta.release,
+        '=app/1.0.0,App.Main=app/1.0.0,Lib.Base=lib/1.1.0,Lib.Boot=lib/1.1.0');
+      assert.deepStrictEqual(Object.keys(meta._).sort(), ['', 'App.Main', 'Lib.Base', 'Lib.Boot']);
+      assert.strictEqual(appMeta.description, 'Main module');
+      assert.deepStrictEqual(appMeta.archive, { name: 'app', version: '1.0.0' });
+      assert.deepStrictEqual(appMeta.depends, ['Lib.Base']);
+      assert.strictEqual(appMeta.ordinal, 1);
+      assert.deepStrictEqual(appMeta.datatypes, { _: { Point: 'Shape+{x:number,y:number}' } });
+      assert.deepStrictEqual(meta._['Lib.Base'].archive, { name: 'lib', version: '1.1.0' });
+      assert.deepStrictEqual(meta.graph,
+        { 'App.Main': ['Lib.Base'], 'Lib.Base': [], 'Lib.Boot': [] });
+      assert.deepStrictEqual(meta.typespace, { Point: 'App.Main', Shape: 'Lib.Base' });
+      assert.ok(meta.sizes.loader[loaderFile] > 0);
+      assert.strictEqual(meta.sizes.modules['App.Main'].archive, 'app');
+    });
+
+    it('maps loader lines to archive entries', function() {
+      const loader = fs.readFileSync(`${result.home}/0/${loaderFile}`, 'utf8').split('\n');
+      const mapPath = `${result.home}/0/${loaderFile}.map`;
+      const sourceMap = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+      const classSource = `app/1.0.0/${fixtures.entryPath.classScript('App.Main', 'Main')}`;
+      const baseSource = `lib/1.1.0/${fixtures.entryPath.classScript('Lib.Base', 'Base')}`;
+      assert.strictEqual(sourceMap.version, 3);
+      assert.strictEqual(sourceMap.file, loaderFile);
+      assert.ok(sourceMap.sources.indexOf(classSource) >= 0);
+      assert.ok(sourceMap.sources.indexOf(baseSource) >= 0);
+      assert.strictEqual(sourceMap.sourcesContent[sourceMap.sources.indexOf(classSource)],
+        `'Object'.subclass(['Lib.Base'],{})`);
+      const line = loader.findIndex(text => text.indexOf(`'Main':'Object'.subclass`) >= 0);
+      const column = loader[line].indexOf(`'Object'.subclass`);
+      const original = new SourceMapConsumer(sourceMap)
+        .originalPositionFor({ line: line + 1, column: column });
+      assert.deepStrictEqual(original,
+        { source: classSource, line: 1, column: 0, name: null });
+    });
+
+    it('is planned with selection rules and public assets', function() {
+      return bundler.plan(mainArchive, { bundles: ['main'] })
+        .then(planned => {
+          const appPlan = planned.main.modules['App.Main'];
+          assert.strictEqual(appPlan.rule, 'includes:""');
+          assert.deepStrictEqual(appPlan.publics,
+            { count: 2, size: fixtures.tinyPNG.length + fixtures.largePNG.length });
+          assert.deepStrictEqual(planned.main.publics,
+            { count: 3, size: fixtures.tinyPNG.length + 2 * fixtures.largePNG.length });
+          assert.deepStrictEqual(planned.main.excluded, []);
+        });
+    });
+
+    it('is planned per bundle, also when other bundles fail', function() {
+      return bundler.plan(mainArchive, { bundles: ['main', 'missing'] })
+        .then(planned => {
+          assert.strictEqual(planned.main.release, path.basename(result.home));
+          assert.strictEqual(planned.missing.error.type, 'missing-archive');
+        });
+    });
+  });
+
+  describe('selection', function() {
+    it('selects modules with patterns per archive and preferences', function() {
+      return bundler.plan(mainArchive, { bundles: ['selective'] })
+        .then(planned => {
+          const plan = planned.selective;
+          assert.deepStrictEqual(Object.keys(plan.modules).sort(), ['App.Main', 'Lib.Base']);
+          assert.strictEqual(plan.modules['App.Main'].rule, 'includes[app]:/^App\\./');
+          assert.strictEqual(plan.modules['Lib.Base'].rule, 'includes[*]:"Lib.*"');
+          assert.deepStrictEqual(plan.modules['Lib.Base'].archive,
+            { name: 'dup', version: '1.0.0' });
+          const excluded = plan.excluded.slice().sort((a, b) => a.name < b.name ? -1 : 1);
+          assert.deepStrictEqual(excluded, [
+            {
+              name: 'Lib.Base', archive: { name: 'lib', version: '1.1.0' },
+              rule: 'prefers:"Lib.B?se"=dup'
+            },
+            {
+              name: 'Lib.Boot', archive: { name: 'lib', version: '1.1.0' },
+              rule: 'excludes:"Lib.Boot"'
+            }
+          ]);
+        });
+    });
+
+    it('publishes selected modules', function() {
+      return publishing('selective')
+        .then(result => {
+          const meta = readMeta(result.home);
+          assert.deepStrictEqual(Object.keys(meta._).sort(), ['', 'App.Main', 'Lib.Base']);
+          assert.deepStrictEqual(meta._['Lib.Base'].archive, { name: 'dup', version: '1.0.0' });
+        });
+    });
+  });
+
+  describe('minification', function() {
+    it('publishes minified loader and minified siblings of public scripts', function() {
+      return publishing('minified')
+        .then(result => {
+          const loader = fs.readFileSync(`${result.home}/0/${loaderFile}`, 'utf8');
+          const mini = fs.readFileSync(`${result.home}/0/${miniFile}`, 'utf8');
+          const miniMap = JSON.parse(fs.readFileSync(`${result.home}/0/${miniFile}.map`, 'utf8'));
+          assert.ok(mini.length < loader.length);
+          assert.strictEqual(miniMap.version, 3);
+          const miniScript = fs.readFileSync(`${result.home}/2/app.min.js`, 'utf8');
+          assert.ok(miniScript.length < webScript.length);
+          assert.strictEqual(fs.readFileSync(`${result.home}/2/app.js`, 'utf8'), webScript);
+        });
+    });
+
+    it('accepts minifier result with source map', function() {
+      const minifier = source => ({ code: `/*mini*/${source.length}`, map: '{"version":3}' });
+      return publishing('minified', { minifier: minifier })
+        .then(result => {
+          assert.strictEqual(result.error, undefined);
+          const miniScript = fs.readFileSync(`${result.home}/2/app.min.js`, 'utf8');
+          assert.strictEqual(miniScript, `/*mini*/${webScript.length}`);
+          assert.ok(fs.readFileSync(`${result.home}/0/${miniFile}`, 'utf8').startsWith('/*mini*/'));
+        });
+    });
+  });
+
+  describe('integrity', function() {
+    it('digests published files and fingerprints public assets', function() {
+      return publishing('digested')
+        .then(result => {
+          const meta = readMeta(result.home), published = meta._['Web.Assets'].publishes;
+          const metaContent = fs.readFileSync(`${result.home}/0/${metaFile}`);
+          const loader = fs.readFileSync(`${result.home}/0/${loaderFile}`);
+          assert.strictEqual(result.integrity[metaFile], integrity(metaContent));
+          assert.strictEqual(meta.publishes[loaderFile].integrity, integrity(loader));
+          assert.strictEqual(published['app.js'].integrity, integrity(webScript));
+          assert.ok(/^app\.[0-9a-f]{16}\.js$/.test(published['app.js'].file));
+          const fingerprinted = `${result.home}/2/${published['app.js'].file}`;
+          assert.strictEqual(fs.readFileSync(fingerprinted, 'utf8'), webScript);
+        });
+    });
+  });
+
+  describe('processors', function() {
+    const banner = {
+      name: 'banner', version: '1.0.0', extensions: ['css'],
+      process: asset => {
+        asset.content = `/*banner*/${asset.content}`;
+        asset.meta.bannered = true;
+        asset.emit(`${asset.path}.txt`, 'emitted');
+      }
+    };
+
+    it('transform public assets, describe them and emit files', function() {
+      return publishing('web', { processors: [banner] })
+        .then(result => {
+          const loader = fs.readFileSync(`${result.home}/0/${loaderFile}`, 'utf8');
+          const style = fs.readFileSync(`${result.home}/2/style.css`, 'utf8');
+          assert.strictEqual(style, `/*banner*/${webStyle}`);
+          assert.strictEqual(fs.readFileSync(`${result.home}/2/style.css.txt`, 'utf8'), 'emitted');
+          assert.ok(loader.indexOf(`'style.css':{size:${style.length},bannered:true}`) > 0);
+          assert.ok(loader.indexOf(`'style.css.txt':7`) > 0);
+          assert.strictEqual(readMeta(result.home).processing, 'banner@1.0.0');
+        });
+    });
+
+    it('change release id', function() {
+      return Promise.all([publishing('web'), publishing('web', { processors: [banner] })])
+        .then(results => {
+          assert.notStrictEqual(results[0].home, results[1].home);
+          assert.strictEqual(results[0].reused, false);
+          assert.strictEqual(results[1].reused, false);
+        });
+    });
+  });
+
+  describe('validation', function() {
+    it('warns about dependency cycles', function() {
+      return publishing('cycles')
+        .then(result => {
+          assert.deepStrictEqual(result.warnings,
+            ['Dependency cycle Cycle.A -> Cycle.B -> Cycle.A']);
+          assert.deepStrictEqual(readMeta(result.home).graph['Cycle.A'], ['Cycle.B']);
+        });
+    });
+
+    it('fails on dependency cycles when bundle configuration asks for it', function() {
+      return publishing('acyclic')
+        .then(result => {
+          assert.strictEqual(result.error.type, 'dependency');
+          assert.strictEqual(result.error.module, 'Cycle.A');
+        });
+    });
+
+    it('fails on exceeded budgets when bundle configuration asks for it', function() {
+      return publishing('budgets')
+        .then(result => {
+          assert.strictEqual(result.error.type, 'budget');
+          assert.strictEqual(result.error.module, 'App.Main');
+          assert.ok(result.error.message.indexOf('App.Main/') >= 0);
+          return bundler.releases(bundleDirectory, 'budgets');
+        })
+        .then(releases => { assert.deepStrictEqual(releases, []); });
+    });
+  });
+
+  describe('compression', function() {
+    it('writes gzipped variants of public text assets', function() {
+      return bundler(mainArchive, bundleDirectory, { bundles: ['compressed'] })
+        .then(results => {
+          const moduleHome = `${results[0].home}/2`;
+          const unzipped = fileName =>
+            zlib.gunzipSync(fs.readFileSync(`${moduleHome}/${fileName}.gz`));
+          assert.strictEqual(String(unzipped('app.js')), webScript);
+          assert.strictEqual(String(unzipped('style.css')), webStyle);
+          assert.ok(!fs.existsSync(`${moduleHome}/icon.png.gz`));
+          assert.ok(fs.existsSync(`${results[0].home}/0/${loaderFile}.gz`));
+        });
+    });
+  });
+
+  describe('datatypes', function() {
+    it('accepts macros, super types and optional fields', function() {
+      return publishing('typed')
+        .then(result => {
+          const meta = JSON.parse(fs.readFileSync(`${result.home}/0/${metaFile}`, 'utf8'));
+          assert.strictEqual(result.warnings, undefined);
+          assert.deepStrictEqual(meta._['Types.Pair'].datatypes,
+            { _: { Pair: '(T=string)Shape+{first:T,second?:T|null}', Pairs: '[Pair]' } });
+          assert.strictEqual(meta.typespace.Pair, 'Types.Pair');
+        });
+    });
+
+    it('warns once about every malformed type and undefined type name', function() {
+      return publishing('mistyped')
+        .then(result => {
+          assert.deepStrictEqual(result.warnings, [
+            'Malformed type Broken (Types.Pair): unexpected }',
+            'Undefined type Missing in super type of Orphan (Types.Pair)',
+            'Undefined type Unknown in Orphan (Types.Pair), Other (Types.Pair)'
+          ]);
+        });
+    });
+
+    it('knows intrinsic types of option', function() {
+      return publishing('mistyped', { intrinsicTypes: ['Missing', 'Unknown'] })
+        .then(result => {
+          assert.deepStrictEqual(result.warnings,
+            ['Malformed type Broken (Types.Pair): unexpected }']);
+        });
+    });
+
+    it('fails when bundle configuration validates datatypes strictly', function() {
+      return publishing('strict')
+        .then(result => {
+          assert.strictEqual(result.error.type, 'datatype');
+          assert.strictEqual(result.error.module, 'Types.Pair');
+        });
+    });
+  });
+
+  describe('staging', function() {
+    it('publishes same release concurrently in one process', function() {
+      const options = { bundles: ['main'], lockfile: false };
+      return Promise.all([
+        bundler(mainArchive, bundleDirectory, options),
+        bundler(mainArchive, bundleDirectory, options)
+      ])
+        .then(results => {
+          assert.strictEqual(results[0][0].error, undefined);
+          assert.strictEqual(results[1][0].error, undefined);
+          assert.strictEqual(results[0][0].home, results[1][0].home);
+          assert.deepStrictEqual(fs.readdirSync(`${bundleDirectory}/main`),
+            [path.basename(results[0][0].home)]);
+        });
+    });
+  });
+
+  describe('cache', function() {
+    it('restores modules of second build', function() {
+      const events = new EventEmitter(), cached = {};
+      events.on('module', event => { cached[event.module] = event.cached; });
+      const options = { bundles: ['main'], events: events };
+      return bundler(mainArchive, bundleDirectory, options)
+        .then(results => {
+          assert.deepStrictEqual(cached,
+            { 'App.Main': false, 'Lib.Base': false, 'Lib.Boot': false });
+          fixtures.removeTree(results[0].home);
+          return bundler(mainArchive, bundleDirectory, options);
+        })
+        .then(results => {
+          assert.deepStrictEqual(cached,
+            { 'App.Main': true, 'Lib.Base': true, 'Lib.Boot': true });
+          assert.ok(fs.readFileSync(`${results[0].home}/1/photo.png`).equals(fixtures.largePNG));
+        });
+    });
+  });
+
+  describe('lockfile', function() {
+    const lockPath = () => `${bundleDirectory}/bundle.lock.json`;
+
+    it('pins resolved versions of external archives', function() {
+      return bundler(mainArchive, bundleDirectory, { bundles: ['main'] })
+        .then(() => {
+          const pins = JSON.parse(fs.readFileSync(lockPath(), 'utf8'));
+          assert.deepStrictEqual(pins, { main: { lib: '1.1.0' } });
+        });
+    });
+
+    it('fails frozen build when external archive is not pinned', function() {
+      fs.writeFileSync(lockPath(), '{}\n');
+      return bundler(mainArchive, bundleDirectory, { bundles: ['main'], locking: 'frozen' })
+        .then(results => {
+          assert.strictEqual(results[0].error.type, 'lockfile');
+          assert.strictEqual(results[0].error.archive, 'lib');
+          assert.strictEqual(fs.readFileSync(lockPath(), 'utf8'), '{}\n');
+        });
+    });
+  });
+
+  describe('prune', function() {
+    let oldHome, newHome;
+    // home of only cached variant of module from archive version
+    const cachedHome = origin => {
+      const moduleCache = `${bundleDirectory}/.cache/${origin}`;
+      return `${moduleCache}/${fs.readdirSync(moduleCache)[0]}`;
+    };
+
+    beforeEach(function() {
+      return publishReleases()
+        .then(homes => {
+          oldHome = homes.oldHome;
+          newHome = homes.newHome;
+        });
+    });
+
+    it('reports old releases and obsolete cached modules in dry run', function() {
+      return bundler.prune(bundleDirectory, { keep: 1, dryRun: true })
+        .then(pruned => {
+          assert.strictEqual(pruned.dryRun, true);
+          assert.deepStrictEqual(pruned.releases.map(release => release.home), [oldHome]);
+          assert.ok(pruned.cached.indexOf(cachedHome('lib/1.0.0/Lib.Base')) >= 0);
+          assert.ok(pruned.reclaimable > 0);
+          assert.ok(fs.existsSync(oldHome));
+          assert.ok(fs.existsSync(cachedHome('lib/1.0.0/Lib.Base')));
+        });
+    });
+
+    it('reports cached modules without files that no kept release bundles', function() {
+      return bundler.prune(bundleDirectory, { keep: 1, dryRun: true })
+        .then(pruned => {
+          assert.deepStrictEqual(pruned.cached.sort(),
+            [cachedHome('lib/1.0.0/Lib.Base'), cachedHome('lib/1.0.0/Lib.Boot')]);
+        });
+    });
+
+    it('removes releases beyond kept count', function() {
+      const obsoleteHomes = [cachedHome('lib/1.0.0/Lib.Base'), cachedHome('lib/1.0.0/Lib.Boot')];
+      const keptHome = cachedHome('lib/1.1.0/Lib.Boot');
+      return bundler.prune(bundleDirectory, { keep: 1 })
+        .then(pruned => {
+          assert.strictEqual(pruned.dryRun, false);
+          assert.ok(!fs.existsSync(oldHome));
+          assert.deepStrictEqual(obsoleteHomes.filter(home => fs.existsSync(home)), []);
+          assert.ok(fs.existsSync(keptHome));
+          assert.ok(fs.existsSync(newHome));
+          return bundler.releases(bundleDirectory, 'main');
+        })
+        .then(releases => { assert.deepStrictEqual(releases.map(r => r.home), [newHome]); });
+    });
+
+    it('keeps pinned releases', function() {
+      const oldId = oldHome.slice(oldHome.lastIndexOf('/') + 1);
+      return bundler.prune(bundleDirectory, { keep: 0, pinned: [`main/${oldId}`] })
+        .then(pruned => {
+          assert.deepStrictEqual(pruned.releases.map(release => release.home), [newHome]);
+          assert.ok(fs.existsSync(oldHome));
+        });
+    });
+  });
+
+  describe('diff', function() {
+    it('compares archive versions and digests of modules', function() {
+      return publishReleases()
+        .then(homes => bundler.diff(homes.oldHome, homes.newHome)
+          .then(difference => {
+            const baseClass = fixtures.entryPath.classScript('Lib.Base', 'Base')
+              .substring('Lib.Base/'.length);
+            const libArchive = version => ({ name: 'lib', version: version });
+            assert.strictEqual(difference.from.home, homes.oldHome);
+            assert.strictEqual(difference.to.home, homes.newHome);
+            assert.deepStrictEqual(difference.added, []);
+            assert.deepStrictEqual(difference.removed, []);
+            assert.deepStrictEqual(Object.keys(difference.changed).sort(),
+              ['Lib.Base', 'Lib.Boot']);
+            assert.deepStrictEqual(difference.changed['Lib.Base'], {
+              archive: { from: libArchive('1.0.0'), to: libArchive('1.1.0') },
+              classes: { changed: [baseClass] }
+            });
+          })
+        );
+    });
+  });
+
+  describe('watch', function() {
+    it('builds watched bundles without lockfile', function() {
+      const started = [];
+      return new Promise((resolve, reject) => {
+        const watcher = bundler.watch(mainArchive, bundleDirectory,
+          { bundles: ['main'], interval: 50 });
+        watcher.on('start', event => { started.push(event.bundle); });
+        watcher.on('error', error => {
+          watcher.close();
+          reject(error);
+        });
+        watcher.on('done', event => {
+          watcher.close();
+          resolve(event);
+        });
+      })
+        .then(event => {
+          assert.deepStrictEqual(started, ['main']);
+          assert.strictEqual(event.bundle, 'main');
+          assert.strictEqual(event.reused, false);
+          assert.ok(fs.existsSync(`${event.home}/0/${loaderFile}`));
+          assert.ok(!fs.existsSync(`${bundleDirectory}/bundle.lock.json`));
+        });
+    });
+  });
+
+  describe('sandbox', function() {
+    it('stops configuration script that does not return', function() {
+      this.timeout(5000);
+      return bundler(mainArchive, bundleDirectory, { bundles: ['loops'], timeout: 100 })
+        .then(results => {
+          assert.strictEqual(results[0].error.type, 'configuration');
+          assert.strictEqual(results[0].error.bundle, 'loops');
+        });
+    });
+
+    it('stops promise job of configuration script that does not return', function() {
+      this.timeout(5000);
+      return bundler(mainArchive, bundleDirectory, { bundles: ['promises'], timeout: 100 })
+        .then(results => { assert.strictEqual(results[0].error.type, 'configuration'); });
+    });
+
+    it('stops getter of configuration that does not return', function() {
+      this.timeout(5000);
+      return bundler(mainArchive, bundleDirectory, { bundles: ['getter'], timeout: 100 })
+        .then(results => { assert.strictEqual(results[0].error.type, 'configuration'); });
+    });
+
+    it('isolates configuration script from bundler process', function() {
+      return bundler(mainArchive, bundleDirectory, { bundles: ['escape'] })
+        .then(results => {
+          assert.strictEqual(results[0].error, undefined);
+          assert.ok(fs.existsSync(results[0].home));
+        });
+    });
+  });
+
+  describe('failure', function() {
+    const failure = bundleName =>
+      bundler(mainArchive, bundleDirectory, { bundles: [bundleName] })
+        .then(results => results[0].error);
+
+    it('reports missing archive', function() {
+      return failure('missing')
+        .then(error => {
+          assert.strictEqual(error.type, 'missing-archive');
+          assert.strictEqual(error.bundle, 'missing');
+          assert.strictEqual(error.archive, 'nowhere');
+        });
+    });
+
+    it('reports module in more than one archive', function() {
+      return failure('conflict')
+        .then(error => {
+          assert.strictEqual(error.type, 'module-conflict');
+          assert.strictEqual(error.module, 'Lib.Base');
+        });
+    });
+
+    it('reports more than one boot script', function() {
+      return failure('boots')
+        .then(error => {
+          assert.strictEqual(error.type, 'boot-conflict');
+          assert.strictEqual(error.bundle, 'boots');
+        });
+    });
+
+    it('rejects with bundle error when failing fast', function() {
+      return bundler(mainArchive, bundleDirectory, { bundles: ['missing'], failFast: true })
+        .then(() => { assert.fail('build should fail'); }, error => {
+          assert.ok(error instanceof bundler.BundleError);
+          assert.strictEqual(error.type, 'missing-archive');
+        });
+    });
+
+    it('rejects invalid archive path', function() {
+      const invalidPath = `${archiveHome}/archive.zip`;
+      const rejected = promise => promise
+        .then(() => { assert.fail('invalid archive should reject'); }, error => {
+          assert.ok(error instanceof bundler.BundleError);
+          assert.strictEqual(error.type, 'invalid-archive');
+        });
+      return rejected(bundler(invalidPath, bundleDirectory))
+        .then(() => rejected(bundler.plan(invalidPath)))
+        .then(() => rejected(bundler.list(invalidPath)));
+    });
+
+    it('leaves no release behind', function() {
+      return failure('conflict')
+        .then(() => bundler.releases(bundleDirectory))
+        .then(releases => { assert.deepStrictEqual(releases, []); });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const constants = require('oma-constants');
+const yazl = require('yazl');
+
+// smallest valid PNG image of 1x1 pixel
+const tinyPNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAAC0lEQVR4nG' +
+  'NgAAIAAAUAAXpeqz8AAAAASUVORK5CYII=', 'base64');
+
+// PNG image of 1x1 pixel, padded beyond limit of inlined data
+const largePNG = Buffer.concat([tinyPNG, Buffer.alloc(constants.tool.datafy.limit + 1)]);
+
+// entry paths of modules in archives
+const entryPath = {
+  bundleScript: bundleName => `${constants.archive.bundleScripts.home}/${bundleName}.js`,
+  bootScript: moduleName => `${moduleName}/${constants.module.bootScript}`,
+  configScript: moduleName => `${moduleName}/${constants.module.configScript}`,
+  classScript: (moduleName, className) =>
+    `${moduleName}/${constants.module.classScripts.home}/${className}.js`,
+  publicAsset: (moduleName, publicPath) =>
+    `${moduleName}/${constants.module.publicAssets.home}/${publicPath}`
+};
+
+// make directory, including missing parent directories
+function makeDirectories(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    makeDirectories(path.dirname(dirPath));
+    fs.mkdirSync(dirPath);
+  }
+}
+
+// remove file or directory with everything below it
+function removeTree(filePath) {
+  if (fs.existsSync(filePath)) {
+    if (fs.lstatSync(filePath).isDirectory()) {
+      for (const name of fs.readdirSync(filePath)) {
+        removeTree(`${filePath}/${name}`);
+      }
+      fs.rmdirSync(filePath);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+// create temporary directory
+function createTemporary(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// write zip archive with entries in archive home and promise its path
+function writeArchive(archiveHome, archiveName, archiveVersion, entries) {
+  const archiveDir = `${archiveHome}/${archiveName}/${archiveVersion}`;
+  const archivePath = `${archiveDir}/${constants.archive.file}.zip`;
+  makeDirectories(archiveDir);
+  const zip = new yazl.ZipFile();
+  for (const entry of Object.keys(entries).sort()) {
+    const content = entries[entry];
+    zip.addBuffer(Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'), entry);
+  }
+  zip.end();
+  return new Promise((resolve, reject) => {
+    zip.outputStream.pipe(fs.createWriteStream(archivePath))
+      .on('close', () => { resolve(archivePath); })
+      .on('error', reject)
+      ;
+  });
+}
+
+// entries of module with configuration script, class scripts and public assets
+function moduleEntries(moduleName, spec) {
+  const entries = {};
+  entries[entryPath.configScript(moduleName)] = spec.config || 'function(module){}';
+  if (spec.boot) {
+    entries[entryPath.bootScript(moduleName)] = spec.boot;
+  }
+  for (const className in spec.classes || {}) {
+    entries[entryPath.classScript(moduleName, className)] = spec.classes[className];
+  }
+  for (const publicPath in spec.publics || {}) {
+    entries[entryPath.publicAsset(moduleName, publicPath)] = spec.publics[publicPath];
+  }
+  return entries;
+}
+
+module.exports = {
+  tinyPNG: tinyPNG,
+  largePNG: largePNG,
+  entryPath: entryPath,
+  createTemporary: createTemporary,
+  moduleEntries: moduleEntries,
+  removeTree: removeTree,
+  writeArchive: writeArchive
+};